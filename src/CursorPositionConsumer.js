@@ -0,0 +1,50 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { CONTEXT_KEY } from './constants';
+
+export default class extends React.Component {
+    static displayName = 'CursorPositionConsumer';
+
+    static propTypes = {
+        children: PropTypes.func.isRequired
+    };
+
+    static contextTypes = {
+        [CONTEXT_KEY]: PropTypes.shape({
+            getState: PropTypes.func,
+            subscribe: PropTypes.func
+        })
+    };
+
+    componentDidMount() {
+        const cursorPosition = this.context[CONTEXT_KEY];
+
+        if (cursorPosition) {
+            // Subscribing keeps consumers current when an intermediate
+            // component's shouldComponentUpdate blocks the render.
+            this.unsubscribe = cursorPosition.subscribe(() => {
+                if (cursorPosition.getState() !== this.renderedState) {
+                    this.forceUpdate();
+                }
+            });
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+    }
+
+    render() {
+        const cursorPosition = this.context[CONTEXT_KEY];
+
+        if (!cursorPosition) {
+            return null;
+        }
+
+        this.renderedState = cursorPosition.getState();
+
+        return this.props.children(this.renderedState);
+    }
+}
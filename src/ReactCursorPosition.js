@@ -3,8 +3,40 @@ import PropTypes from 'prop-types';
 import objectAssign from 'object-assign';
 import omit from 'object.omit';
 import addEventListener from './utils/addEventListener';
-import * as constants from 'constants';
+import {
+    cancelAnimationFrame,
+    requestAnimationFrame
+} from './utils/animationFrame';
+import * as constants from './constants';
 import noop from './utils/noop';
+import serializeEvent from './utils/serializeEvent';
+import getPositionOutputs, { POSITION_OUTPUTS } from './utils/getPositionOutputs';
+import getActiveZones, { ZONE_TYPES } from './utils/zones';
+import getSnapOutputs from './utils/getSnapOutputs';
+import {
+    apply as applyTransform,
+    getCumulativeTransform,
+    getTransformedOrigin,
+    invert as invertTransform
+} from './utils/transforms';
+import {
+    getAngle,
+    getAngleDelta,
+    getCardinalDirection,
+    getCentroid,
+    getDistance
+} from './utils/geometry';
+import {
+    getSwipe,
+    isDoubleTap,
+    isTap
+} from './utils/gestures';
+
+export { default as CursorPositionConsumer } from './CursorPositionConsumer';
+export { INTERACTIONS } from './constants';
+export { createHeatmap } from './heatmap';
+export { createRecorder, replay } from './recording';
+export { createExponentialFilter, createOneEuroFilter } from './smoothing';
 
 export default class extends React.Component {
     constructor(props) {
@@ -24,9 +56,66 @@ export default class extends React.Component {
             position: {
                 x: 0,
                 y: 0
-            }
+            },
+            touches: [],
+            scale: 1,
+            rotation: 0,
+            centroid: {
+                x: 0,
+                y: 0
+            },
+            velocity: {
+                x: 0,
+                y: 0
+            },
+            speed: 0,
+            acceleration: 0,
+            direction: {
+                angle: 0,
+                cardinal: ''
+            },
+            buttons: 0,
+            isPrimaryButtonDown: false,
+            altKey: false,
+            ctrlKey: false,
+            metaKey: false,
+            shiftKey: false,
+            isDragging: false,
+            dragStartPosition: {
+                x: 0,
+                y: 0
+            },
+            dragDelta: {
+                x: 0,
+                y: 0
+            },
+            dragDistance: 0,
+            activeZones: []
         };
 
+        if (props.shouldUsePointerEvents) {
+            objectAssign(this.state, {
+                pointerType: '',
+                pressure: 0,
+                tiltX: 0,
+                tiltY: 0,
+                twist: 0
+            });
+        }
+
+        if (props.smoothing) {
+            objectAssign(this.state, {
+                smoothedPosition: {
+                    x: 0,
+                    y: 0
+                }
+            });
+        }
+
+        if (props.shouldLockPointer) {
+            objectAssign(this.state, { isPointerLocked: false });
+        }
+
         this.shouldGuardAgainstMouseEmulationByDevices = false;
         this.eventListeners = [];
         this.timers = [];
@@ -34,6 +123,42 @@ export default class extends React.Component {
             x: 0,
             y: 0
         };
+        this.elementDimensions = {
+            width: 0,
+            height: 0
+        };
+        this.elementInverseTransform = null;
+        this.primaryTouchIdentifier = null;
+        this.touchPointers = [];
+        this.twoFingerGesture = null;
+        this.contextSubscribers = [];
+        this.mappedState = null;
+        this.motionSample = null;
+        this.gesture = null;
+        this.previousTap = null;
+        this.positionSamples = [];
+        this.animationFrameId = null;
+        this.layoutListeners = [];
+        this.modifierKeyListeners = [];
+        this.captureListeners = [];
+        this.capturedPointerId = null;
+        this.pointerLockListeners = [];
+        this.isPointerLocked = false;
+        this.pointerLockedPosition = null;
+        this.recordedHandlers = {};
+        this.mousePosition = null;
+        this.activeZones = [];
+        this.layoutAnimationFrameId = null;
+        this.lastViewportPosition = null;
+        this.keyboardPosition = null;
+        this.isPressPending = false;
+        this.pressStartPosition = null;
+        this.pressPosition = null;
+        this.pressStartTime = 0;
+        this.pressAnimationFrameId = null;
+        this.dragStartPosition = null;
+        this.isDragging = false;
+        this.lastDrag = null;
 
         this.onTouchStart = this.onTouchStart.bind(this);
         this.onTouchMove = this.onTouchMove.bind(this);
@@ -42,165 +167,1318 @@ export default class extends React.Component {
         this.onMouseEnter = this.onMouseEnter.bind(this);
         this.onMouseMove = this.onMouseMove.bind(this);
         this.onMouseLeave = this.onMouseLeave.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
+        this.onPointerEnter = this.onPointerEnter.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onTouchMoveWhilePointerActive = this.onTouchMoveWhilePointerActive.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onModifierKeyChange = this.onModifierKeyChange.bind(this);
+        this.onCapturedMouseMove = this.onCapturedMouseMove.bind(this);
+        this.onCapturedMouseUp = this.onCapturedMouseUp.bind(this);
+        this.onPointerLockChange = this.onPointerLockChange.bind(this);
+        this.onPointerLockError = this.onPointerLockError.bind(this);
+        this.flushPositionSamples = this.flushPositionSamples.bind(this);
+        this.onLayoutChanged = this.onLayoutChanged.bind(this);
+        this.remeasure = this.remeasure.bind(this);
+        this.tickPressProgress = this.tickPressProgress.bind(this);
+        this.getMappedState = this.getMappedState.bind(this);
+        this.subscribe = this.subscribe.bind(this);
     }
 
     static displayName = 'ReactCursorPosition';
 
     static propTypes = {
-        children: PropTypes.any,
+        activationInteraction: PropTypes.shape({
+            mouse: PropTypes.oneOf(constants.MOUSE_INTERACTIONS),
+            touch: PropTypes.oneOf(constants.TOUCH_INTERACTIONS)
+        }),
+        children: PropTypes.oneOfType([
+            PropTypes.func,
+            PropTypes.node
+        ]),
         className: PropTypes.string,
+        doubleTapDelay: PropTypes.number,
+        heatmap: PropTypes.shape({
+            update: PropTypes.func
+        }),
         hoverDelayInMs: PropTypes.number,
+        hoverIntentInterval: PropTypes.number,
+        hoverIntentSensitivity: PropTypes.number,
         hoverOffDelayInMs: PropTypes.number,
         isActivatedOnTouch: PropTypes.bool,
+        isKeyboardNavigable: PropTypes.bool,
+        keyboardLabel: PropTypes.string,
+        keyboardLargeStep: PropTypes.number,
+        keyboardRole: PropTypes.string,
+        keyboardStep: PropTypes.number,
         mapChildProps: PropTypes.func,
         onActivationChanged: PropTypes.func,
         onPositionChanged: PropTypes.func,
         onDetectedEnvironmentChanged: PropTypes.func,
+        onDoubleTap: PropTypes.func,
+        onDrag: PropTypes.func,
+        onDragEnd: PropTypes.func,
+        onDragStart: PropTypes.func,
+        onLongPress: PropTypes.func,
+        onPositionSamples: PropTypes.func,
+        onPressCancel: PropTypes.func,
+        onPressProgress: PropTypes.func,
+        onPressStart: PropTypes.func,
+        onSwipe: PropTypes.func,
+        onTap: PropTypes.func,
+        onZoneEnter: PropTypes.func,
+        onZoneLeave: PropTypes.func,
+        pointerLockBoundary: PropTypes.oneOf(constants.POINTER_LOCK_BOUNDARIES),
+        positionOutputs: PropTypes.arrayOf(PropTypes.oneOf(POSITION_OUTPUTS)),
+        recorder: PropTypes.shape({
+            record: PropTypes.func
+        }),
+        shouldCapturePointer: PropTypes.bool,
         pressDuration: PropTypes.number,
-        pressMoveThreshold: PropTypes.number,
+        pressMoveThreshold: PropTypes.oneOfType([
+            PropTypes.number,
+            PropTypes.shape({
+                x: PropTypes.number,
+                y: PropTypes.number
+            })
+        ]),
+        shouldBatchPositionUpdates: PropTypes.bool,
         shouldDecorateChildren: PropTypes.bool,
-        style: PropTypes.object
+        shouldInvertTransforms: PropTypes.bool,
+        shouldLockPointer: PropTypes.bool,
+        shouldUsePointerEvents: PropTypes.bool,
+        smoothing: PropTypes.shape({
+            filter: PropTypes.func.isRequired,
+            reset: PropTypes.func
+        }),
+        snap: PropTypes.shape({
+            gridSize: PropTypes.oneOfType([
+                PropTypes.number,
+                PropTypes.shape({
+                    x: PropTypes.number,
+                    y: PropTypes.number
+                })
+            ]),
+            points: PropTypes.arrayOf(PropTypes.shape({
+                x: PropTypes.number,
+                y: PropTypes.number
+            })),
+            radius: PropTypes.number,
+            units: PropTypes.oneOf(constants.UNITS)
+        }),
+        style: PropTypes.object,
+        swipeMinDistance: PropTypes.number,
+        swipeMinVelocity: PropTypes.number,
+        tapDuration: PropTypes.number,
+        tapMoveThreshold: PropTypes.number,
+        zones: PropTypes.arrayOf(PropTypes.shape({
+            height: PropTypes.number,
+            name: PropTypes.string.isRequired,
+            points: PropTypes.arrayOf(PropTypes.shape({
+                x: PropTypes.number,
+                y: PropTypes.number
+            })),
+            radius: PropTypes.number,
+            type: PropTypes.oneOf(ZONE_TYPES).isRequired,
+            units: PropTypes.oneOf(constants.UNITS),
+            width: PropTypes.number,
+            x: PropTypes.number,
+            y: PropTypes.number
+        }))
+    };
+
+    static childContextTypes = {
+        [constants.CONTEXT_KEY]: PropTypes.shape({
+            getState: PropTypes.func,
+            subscribe: PropTypes.func
+        })
     };
 
     static defaultProps = {
+        activationInteraction: {},
+        doubleTapDelay: 300,
         isActivatedOnTouch: false,
+        isKeyboardNavigable: false,
         hoverDelayInMs: 0,
+        hoverIntentInterval: 100,
+        hoverIntentSensitivity: 7,
         hoverOffDelayInMs: 0,
+        keyboardLabel: 'Cursor area',
+        keyboardLargeStep: 10,
+        keyboardRole: 'application',
+        keyboardStep: 1,
         mapChildProps: props => props,
         onActivationChanged: noop,
         onPositionChanged: noop,
         onDetectedEnvironmentChanged: noop,
+        onDoubleTap: noop,
+        onDrag: noop,
+        onDragEnd: noop,
+        onDragStart: noop,
+        onLongPress: noop,
+        onPositionSamples: noop,
+        onPressCancel: noop,
+        onPressProgress: noop,
+        onPressStart: noop,
+        onSwipe: noop,
+        onTap: noop,
+        onZoneEnter: noop,
+        onZoneLeave: noop,
+        pointerLockBoundary: 'none',
+        positionOutputs: [],
         pressDuration: 500,
         pressMoveThreshold: 5,
-        shouldDecorateChildren: true
+        shouldBatchPositionUpdates: false,
+        shouldCapturePointer: false,
+        shouldDecorateChildren: true,
+        shouldInvertTransforms: false,
+        shouldLockPointer: false,
+        shouldUsePointerEvents: false,
+        swipeMinDistance: 30,
+        swipeMinVelocity: 0.3,
+        tapDuration: 250,
+        tapMoveThreshold: 10,
+        zones: []
     };
 
-    onTouchStart(e) {
-        const position = this.getDocumentRelativePosition(this.getTouchEvent(e));
+    onTouchStart(e) {
+        const touchPoints = this.getTouchPoints(e);
+
+        this.setShouldGuardAgainstMouseEmulationByDevices();
+
+        if (touchPoints.length > 1) {
+            this.addTouchContact(touchPoints);
+            return;
+        }
+
+        this.startTouchInteraction(e, touchPoints);
+    }
+
+    onTouchMove(e) {
+        this.moveTouchInteraction(e, this.getTouchPoints(e));
+    }
+
+    onTouchEnd(e) {
+        if (this.hasRemainingTouches(e)) {
+            this.setTouchesState(this.getTouchPoints(e));
+            return;
+        }
+
+        this.endTouchInteraction(e);
+        this.unsetShouldGuardAgainstMouseEmulationByDevices();
+    }
+
+    onTouchCancel(e) {
+        this.cancelGesture();
+        this.cancelPress('cancelled');
+        this.onTouchEnd(e);
+    }
+
+    startTouchInteraction(e, touchPoints) {
+        const position = this.getDocumentRelativePosition(this.getPrimaryTouch(touchPoints));
+
+        this.init();
+        this.onTouchDetected();
+        this.setTouchesState(touchPoints);
+        this.setPositionState(position, this.getEventTimestamp(e));
+        this.startGesture(position, this.getEventTimestamp(e));
+        this.startDrag(position);
+
+        const { touch } = this.getActivationInteraction();
+
+        if (touch === constants.INTERACTIONS.TOUCH) {
+            e.preventDefault();
+            this.activate();
+            return;
+        }
+
+        if (touch === constants.INTERACTIONS.PRESS) {
+            this.initPressEventCriteria(position);
+            this.setPressEventTimer();
+        }
+    }
+
+    moveTouchInteraction(e, touchPoints) {
+        const position = this.getDocumentRelativePosition(this.getPrimaryTouch(touchPoints));
+
+        this.moveGesture(position);
+
+        if (!this.state.isActive) {
+            this.setPressEventCriteria(position);
+
+            // A second contact cancels the press, so pinches are tracked whether or not active.
+            if (touchPoints.length > 1) {
+                this.setTouchesState(touchPoints);
+            }
+            return;
+        }
+
+        this.schedulePositionState({
+            pointerState: this.getPointerState(e),
+            position,
+            timestamp: this.getEventTimestamp(e),
+            touchPoints
+        });
+        e.preventDefault();
+    }
+
+    addTouchContact(touchPoints) {
+        this.cancelGesture();
+        this.cancelPress('multitouch');
+        this.endDrag();
+        this.setTouchesState(touchPoints);
+    }
+
+    endTouchInteraction(e) {
+        this.cancelPress('released');
+        this.flushPositionSamples();
+        this.endGesture(this.getEventTimestamp(e));
+        this.endDrag();
+        this.setTouchesState([]);
+        this.setState({
+            activeZones: this.setActiveZones([], this.state.position)
+        });
+
+        if (!this.isActivationToggledByTap()) {
+            this.deactivate();
+        }
+    }
+
+    startGesture(position, timestamp) {
+        const startPosition = this.getOffsetPosition(position);
+
+        this.gesture = {
+            isLongPress: false,
+            position: startPosition,
+            startPosition,
+            startTimestamp: timestamp
+        };
+        this.setLongPressTimer();
+    }
+
+    moveGesture(position) {
+        if (this.gesture) {
+            this.gesture.position = this.getOffsetPosition(position);
+        }
+    }
+
+    cancelGesture() {
+        this.gesture = null;
+        this.clearTimer(constants.LONG_PRESS_TIMER_NAME);
+    }
+
+    endGesture(timestamp) {
+        const gesture = this.gesture;
+
+        this.cancelGesture();
+
+        if (!gesture) {
+            return;
+        }
+
+        gesture.endTimestamp = timestamp;
+
+        if (!gesture.isLongPress && isTap(gesture, this.props)) {
+            this.onTapGesture(gesture);
+            return;
+        }
+
+        this.previousTap = null;
+
+        const swipe = !gesture.isLongPress && getSwipe(gesture, this.props);
+        if (swipe) {
+            this.props.onSwipe(swipe);
+        }
+    }
+
+    startDrag(position) {
+        this.dragStartPosition = this.getOffsetPosition(position);
+    }
+
+    getDrag(position) {
+        if (!this.dragStartPosition) {
+            return null;
+        }
+
+        const offsetPosition = this.getOffsetPosition(position);
+        const drag = {
+            dragDelta: {
+                x: offsetPosition.x - this.dragStartPosition.x,
+                y: offsetPosition.y - this.dragStartPosition.y
+            },
+            dragDistance: getDistance(this.dragStartPosition, offsetPosition),
+            dragStartPosition: this.dragStartPosition,
+            position: offsetPosition
+        };
+
+        if (!this.isDragging) {
+            if (!drag.dragDistance) {
+                return null;
+            }
+
+            this.isDragging = true;
+            this.props.onDragStart({ position: this.dragStartPosition });
+        }
+
+        this.lastDrag = drag;
+        return drag;
+    }
+
+    endDrag() {
+        // Moves made while dragging are part of the drag.
+        this.flushPositionSamples();
+
+        const wasDragging = this.isDragging;
+
+        this.dragStartPosition = null;
+        this.isDragging = false;
+
+        if (wasDragging) {
+            this.setState({ isDragging: false });
+            this.props.onDragEnd(this.lastDrag);
+        }
+    }
+
+    onTapGesture(tap) {
+        const { touch } = this.getActivationInteraction();
+
+        this.props.onTap({ position: tap.position });
+
+        if (isDoubleTap(this.previousTap, tap, this.props)) {
+            this.previousTap = null;
+            this.props.onDoubleTap({ position: tap.position });
+
+            if (touch === constants.INTERACTIONS.DOUBLE_TAP) {
+                this.toggleActivation();
+            }
+            return;
+        }
+
+        this.previousTap = tap;
+
+        if (touch === constants.INTERACTIONS.TAP) {
+            this.toggleActivation();
+        }
+    }
+
+    setLongPressTimer() {
+        const { pressDuration } = this.props;
+
+        this.timers.push({
+            name: constants.LONG_PRESS_TIMER_NAME,
+            id: setTimeout(() => {
+                const gesture = this.gesture;
+
+                if (gesture && this.isWithinPressMoveThreshold(gesture.startPosition, gesture.position)) {
+                    gesture.isLongPress = true;
+                    this.props.onLongPress({ position: gesture.position });
+                }
+            }, pressDuration)
+        });
+    }
+
+    onMouseEnter(e) {
+        if (this.shouldGuardAgainstMouseEmulationByDevices || this.isMouseCaptured()) {
+            return;
+        }
+
+        const { mouse } = this.getActivationInteraction();
+
+        this.mousePosition = this.getDocumentRelativePosition(e);
+        this.init();
+        this.onMouseDetected();
+        this.setPositionState(this.mousePosition, this.getEventTimestamp(e));
+        this.setMouseButtonState(e);
+        this.clearActivationTimers();
+
+        if (mouse === constants.INTERACTIONS.HOVER) {
+            this.schedulActivation(this.props.hoverDelayInMs);
+        }
+
+        if (mouse === constants.INTERACTIONS.HOVER_INTENT) {
+            this.scheduleHoverIntentActivation();
+        }
+    }
+
+    onMouseMove(e) {
+        const position = this.isPointerLocked
+            ? this.getPointerLockedPosition(e)
+            : this.getDocumentRelativePosition(e);
+
+        this.mousePosition = position;
+        this.setPressEventCriteria(position);
+
+        // The primary button may have been released outside of the element.
+        if (typeof e.buttons === 'number' && (e.buttons & 1) === 0) {
+            this.endDrag();
+        }
+
+        this.schedulePositionState({
+            pointerState: this.getPointerState(e),
+            position,
+            timestamp: this.getEventTimestamp(e)
+        });
+    }
+
+    onMouseDown(e) {
+        this.setMouseButtonState(e);
+
+        if (this.shouldIgnoreMouseButtonEvent(e)) {
+            return;
+        }
+
+        const position = this.getDocumentRelativePosition(e);
+
+        this.startDrag(position);
+
+        if (this.props.shouldCapturePointer) {
+            this.addCaptureListeners(e);
+        }
+
+        if (this.getActivationInteraction().mouse !== constants.INTERACTIONS.PRESS_AND_HOLD) {
+            return;
+        }
+
+        this.initPressEventCriteria(position);
+        this.setPressEventTimer();
+    }
+
+    onMouseUp(e) {
+        this.setMouseButtonState(e);
+
+        if (this.shouldIgnoreMouseButtonEvent(e)) {
+            return;
+        }
+
+        this.endDrag();
+
+        if (this.getActivationInteraction().mouse !== constants.INTERACTIONS.PRESS_AND_HOLD) {
+            return;
+        }
+
+        this.cancelPress('released');
+
+        if (this.state.isActive) {
+            this.deactivate();
+        }
+    }
+
+    onClick(e) {
+        const { mouse } = this.getActivationInteraction();
+
+        if (this.shouldIgnoreMouseButtonEvent(e)) {
+            return;
+        }
+
+        if (mouse === constants.INTERACTIONS.TOGGLE_ON_CLICK) {
+            this.toggleActivation();
+            return;
+        }
+
+        if (mouse === constants.INTERACTIONS.CLICK && !this.state.isActive) {
+            this.activate();
+        }
+    }
+
+    onDoubleClick(e) {
+        if (this.shouldIgnoreMouseButtonEvent(e)
+            || this.getActivationInteraction().mouse !== constants.INTERACTIONS.DOUBLE_CLICK) {
+            return;
+        }
+
+        if (!this.state.isActive) {
+            this.activate();
+        }
+    }
+
+    onModifierKeyChange(e) {
+        this.setState(this.getModifierKeyState(e));
+    }
+
+    onCapturedMouseMove(e) {
+        // Moves over the element are handled by its own listeners.
+        if (this.el.contains(e.target) || !this.isCapturedPointer(e)) {
+            return;
+        }
+
+        // The release may have happened outside of the window.
+        if (typeof e.buttons === 'number' && (e.buttons & 1) === 0) {
+            this.onCapturedMouseUp(e);
+            return;
+        }
+
+        this.onMouseMove(e);
+    }
+
+    onCapturedMouseUp(e) {
+        if (!this.isCapturedPointer(e)) {
+            return;
+        }
+
+        this.removeCaptureListeners();
+
+        if (this.el.contains(e.target)) {
+            return;
+        }
+
+        this.onMouseUp(e);
+        this.onMouseLeave();
+    }
+
+    addCaptureListeners(e) {
+        const [moveEventName, upEventName] = this.props.shouldUsePointerEvents
+            ? ['pointermove', 'pointerup']
+            : ['mousemove', 'mouseup'];
+
+        this.removeCaptureListeners();
+        this.capturedPointerId = e.pointerId;
+        this.captureListeners.push(
+            addEventListener(document, moveEventName, this.getRecordedHandler('onCapturedMouseMove')),
+            addEventListener(document, upEventName, this.getRecordedHandler('onCapturedMouseUp'))
+        );
+    }
+
+    removeCaptureListeners() {
+        while (this.captureListeners.length) {
+            this.captureListeners.pop().removeEventListener();
+        }
+
+        this.capturedPointerId = null;
+    }
+
+    isMouseCaptured() {
+        return this.captureListeners.length > 0;
+    }
+
+    isCapturedPointer(e) {
+        return !this.props.shouldUsePointerEvents || e.pointerId === this.capturedPointerId;
+    }
+
+    onPointerLockChange() {
+        const isPointerLocked = document.pointerLockElement === this.el;
+        const wasPointerLocked = this.isPointerLocked;
+
+        this.isPointerLocked = isPointerLocked;
+        this.setState({ isPointerLocked });
+
+        if (isPointerLocked) {
+            this.pointerLockedPosition = this.state.position;
+            return;
+        }
+
+        // The lock was released by the browser, for example when Escape was pressed.
+        if (wasPointerLocked) {
+            this.removePointerLockListeners();
+            this.deactivate();
+        }
+    }
+
+    onPointerLockError() {
+        this.removePointerLockListeners();
+    }
+
+    requestPointerLock() {
+        if (!this.props.shouldLockPointer
+            || this.keyboardPosition
+            || !this.state.detectedEnvironment.isMouseDetected
+            || typeof this.el.requestPointerLock !== 'function') {
+            return;
+        }
+
+        this.removePointerLockListeners();
+        this.pointerLockListeners.push(
+            addEventListener(document, 'pointerlockchange', this.onPointerLockChange),
+            addEventListener(document, 'pointerlockerror', this.onPointerLockError)
+        );
+
+        // Newer browsers return a promise, which rejects along with the pointerlockerror event.
+        const request = this.el.requestPointerLock();
+        if (request && typeof request.catch === 'function') {
+            request.catch(noop);
+        }
+    }
+
+    exitPointerLock() {
+        const wasPointerLocked = this.isPointerLocked;
+
+        this.removePointerLockListeners();
+        this.isPointerLocked = false;
+
+        if (wasPointerLocked) {
+            document.exitPointerLock();
+            this.setState({ isPointerLocked: false });
+        }
+    }
+
+    removePointerLockListeners() {
+        while (this.pointerLockListeners.length) {
+            this.pointerLockListeners.pop().removeEventListener();
+        }
+    }
+
+    getPointerLockedPosition(e) {
+        const { width, height } = this.elementDimensions;
+        const boundary = this.props.pointerLockBoundary;
+        const position = {
+            x: this.pointerLockedPosition.x + (e.movementX || 0),
+            y: this.pointerLockedPosition.y + (e.movementY || 0)
+        };
+
+        if (boundary === 'clamp') {
+            position.x = Math.min(Math.max(position.x, 0), width);
+            position.y = Math.min(Math.max(position.y, 0), height);
+        }
+
+        if (boundary === 'wrap') {
+            position.x = width ? ((position.x % width) + width) % width : 0;
+            position.y = height ? ((position.y % height) + height) % height : 0;
+        }
+
+        this.pointerLockedPosition = position;
+        return this.getDocumentRelativeOffsetPosition(position);
+    }
+
+    onMouseLeave() {
+        if (this.isMouseCaptured()) {
+            return;
+        }
+
+        this.cancelPress('moved');
+        this.endDrag();
+        this.flushPositionSamples();
+        this.clearActivationTimers();
+        this.scheduleDeactivation(this.props.hoverOffDelayInMs);
+        this.setState({
+            activeZones: this.setActiveZones([], this.state.position),
+            isPositionOutside: true
+        });
+    }
+
+    onPointerEnter(e) {
+        if (this.isTouchPointer(e)) {
+            return;
+        }
+
+        this.setPointerState(e);
+        this.onMouseEnter(e);
+    }
+
+    onPointerDown(e) {
+        this.setPointerState(e);
+
+        if (!this.isTouchPointer(e)) {
+            this.onMouseDown(e);
+            return;
+        }
+
+        this.setTouchPointer(e);
+
+        if (this.touchPointers.length > 1) {
+            this.addTouchContact(this.touchPointers);
+            return;
+        }
+
+        this.startTouchInteraction(e, this.touchPointers);
+    }
+
+    onPointerMove(e) {
+        if (this.isTouchPointer(e)) {
+            this.setTouchPointer(e);
+            this.moveTouchInteraction(e, this.touchPointers);
+            return;
+        }
+
+        this.onMouseMove(e);
+    }
+
+    onPointerUp(e) {
+        this.setPointerState(e);
+
+        if (!this.isTouchPointer(e)) {
+            this.onMouseUp(e);
+            return;
+        }
+
+        this.unsetTouchPointer(e);
+
+        if (this.touchPointers.length) {
+            this.setTouchesState(this.touchPointers);
+            return;
+        }
+
+        this.endTouchInteraction(e);
+    }
+
+    onPointerCancel(e) {
+        if (this.isTouchPointer(e)) {
+            this.cancelGesture();
+            this.cancelPress('cancelled');
+        }
+
+        this.onPointerUp(e);
+    }
+
+    onPointerLeave(e) {
+        if (this.isTouchPointer(e)) {
+            return;
+        }
+
+        this.onMouseLeave();
+    }
+
+    onTouchMoveWhilePointerActive(e) {
+        // Pointer events cannot cancel native scrolling; the parallel touchmove event can.
+        if (this.state.isActive) {
+            e.preventDefault();
+        }
+    }
+
+    onKeyDown(e) {
+        if (this.isEventFromDescendant(e)) {
+            return;
+        }
+
+        const { keyboardLargeStep, keyboardStep } = this.props;
+        const step = e.shiftKey ? keyboardLargeStep : keyboardStep;
+        const movement = {
+            ArrowLeft: { x: -step, y: 0 },
+            ArrowRight: { x: step, y: 0 },
+            ArrowUp: { x: 0, y: -step },
+            ArrowDown: { x: 0, y: step }
+        }[e.key];
+
+        if (e.key === 'Enter' && !this.keyboardPosition) {
+            e.preventDefault();
+            this.startKeyboardInteraction(e);
+            return;
+        }
+
+        if (!this.keyboardPosition) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.endKeyboardInteraction();
+            return;
+        }
+
+        if (movement) {
+            e.preventDefault();
+            this.moveKeyboardInteraction(e, movement);
+        }
+    }
+
+    onBlur(e) {
+        if (this.keyboardPosition && !this.isEventFromDescendant(e)) {
+            this.endKeyboardInteraction();
+        }
+    }
+
+    // Keys and focus changes in focusable descendants, such as inputs, belong to them.
+    isEventFromDescendant(e) {
+        return e.target !== e.currentTarget;
+    }
+
+    startKeyboardInteraction(e) {
+        this.init();
+
+        const { width, height } = this.elementDimensions;
+        this.setKeyboardPosition(e, {
+            x: width / 2,
+            y: height / 2
+        });
+        this.clearActivationTimers();
+        this.activate();
+    }
+
+    moveKeyboardInteraction(e, movement) {
+        const { width, height } = this.elementDimensions;
+        const { x, y } = this.keyboardPosition;
+
+        this.setKeyboardPosition(e, {
+            x: Math.min(Math.max(x + movement.x, 0), width),
+            y: Math.min(Math.max(y + movement.y, 0), height)
+        });
+    }
+
+    endKeyboardInteraction() {
+        this.keyboardPosition = null;
+        this.deactivate();
+    }
+
+    setKeyboardPosition(e, position) {
+        this.keyboardPosition = position;
+        this.setPositionState(this.getDocumentRelativeOffsetPosition(position), this.getEventTimestamp(e));
+    }
+
+    onTouchDetected() {
+        const environment = {
+            isTouchDetected: true,
+            isMouseDetected: false
+        };
+
+        this.setState({ detectedEnvironment: environment });
+        this.props.onDetectedEnvironmentChanged(environment);
+    }
+
+    onMouseDetected() {
+        const environment = {
+            isTouchDetected: false,
+            isMouseDetected: true
+        };
+
+        this.setState({ detectedEnvironment: environment });
+        this.props.onDetectedEnvironmentChanged(environment);
+    }
+
+    getChildContext() {
+        return {
+            [constants.CONTEXT_KEY]: {
+                getState: this.getMappedState,
+                subscribe: this.subscribe
+            }
+        };
+    }
+
+    componentDidMount() {
+        this.addEventListeners();
+    }
+
+    componentDidUpdate() {
+        this.contextSubscribers.forEach(subscriber => subscriber());
+        this.updateHeatmap();
+    }
+
+    componentWillUnmount() {
+        this.stopPressProgress();
+        this.cancelPositionSamples();
+        this.removeLayoutListeners();
+        this.removeModifierKeyListeners();
+        this.removeCaptureListeners();
+        this.exitPointerLock();
+        this.clearTimers();
+        this.removeEventListeners();
+        this.contextSubscribers = [];
+
+        if (this.props.heatmap) {
+            this.props.heatmap.update(null);
+        }
+    }
+
+    init() {
+        this.measure();
+        this.motionSample = null;
+        this.addLayoutListeners();
+        this.resetSmoothing();
+    }
+
+    measure() {
+        const { x, y, w, h, inverseTransform = null } = this.getDocumentRelativeElementOffset(this.el);
+        this.elementOffset = { x, y };
+        this.elementDimensions = { width: w, height: h };
+        this.elementInverseTransform = inverseTransform;
+        this.setElementDimensionsState(this.elementDimensions);
+    }
+
+    onLayoutChanged() {
+        if (this.layoutAnimationFrameId === null) {
+            this.layoutAnimationFrameId = requestAnimationFrame(this.remeasure);
+        }
+    }
+
+    remeasure() {
+        this.layoutAnimationFrameId = null;
+        this.measure();
+
+        if (!this.lastViewportPosition) {
+            return;
+        }
+
+        const scrollOffset = this.getViewportScrollOffset();
+
+        // The cursor keeps its place in the viewport while the layout beneath it changes.
+        this.motionSample = null;
+        this.setPositionState({
+            x: this.lastViewportPosition.x + scrollOffset.x,
+            y: this.lastViewportPosition.y + scrollOffset.y
+        });
+    }
+
+    addLayoutListeners() {
+        if (this.layoutListeners.length) {
+            return;
+        }
+
+        this.layoutListeners.push(
+            addEventListener(window, 'scroll', this.onLayoutChanged, { capture: true, passive: true }),
+            addEventListener(window, 'resize', this.onLayoutChanged)
+        );
+
+        if (typeof window.ResizeObserver === 'function') {
+            const resizeObserver = new window.ResizeObserver(this.onLayoutChanged);
+            resizeObserver.observe(this.el);
+            this.layoutListeners.push({
+                removeEventListener: () => resizeObserver.disconnect()
+            });
+        }
+    }
+
+    removeLayoutListeners() {
+        while (this.layoutListeners.length) {
+            this.layoutListeners.pop().removeEventListener();
+        }
+
+        if (this.layoutAnimationFrameId !== null) {
+            cancelAnimationFrame(this.layoutAnimationFrameId);
+            this.layoutAnimationFrameId = null;
+        }
+    }
+
+    addModifierKeyListeners() {
+        if (this.modifierKeyListeners.length) {
+            return;
+        }
+
+        // Key events are dispatched to the focused element, which is rarely this one.
+        this.modifierKeyListeners.push(
+            addEventListener(window, 'keydown', this.onModifierKeyChange),
+            addEventListener(window, 'keyup', this.onModifierKeyChange)
+        );
+    }
+
+    removeModifierKeyListeners() {
+        while (this.modifierKeyListeners.length) {
+            this.modifierKeyListeners.pop().removeEventListener();
+        }
+    }
+
+    activate() {
+        this.addLayoutListeners();
+        this.addModifierKeyListeners();
+        this.requestPointerLock();
+        this.setState({ isActive: true });
+        this.props.onActivationChanged({ isActive: true });
+    }
+
+    deactivate() {
+        this.clearTimer(constants.PRESS_EVENT_TIMER_NAME);
+        this.removeLayoutListeners();
+        this.removeModifierKeyListeners();
+        this.exitPointerLock();
+        this.lastViewportPosition = null;
+
+        this.setState({ isActive: false }, () => {
+            const { isPositionOutside, position } = this.state;
+
+            this.props.onPositionChanged({
+                isPositionOutside,
+                position
+            });
+
+            this.props.onActivationChanged({ isActive: false });
+        });
+    }
+
+    toggleActivation() {
+        if (this.state.isActive) {
+            this.deactivate();
+            return;
+        }
+
+        this.activate();
+    }
+
+    getActivationInteraction() {
+        const { activationInteraction, isActivatedOnTouch } = this.props;
+
+        return objectAssign({
+            mouse: constants.INTERACTIONS.HOVER,
+            touch: isActivatedOnTouch ? constants.INTERACTIONS.TOUCH : constants.INTERACTIONS.PRESS
+        }, activationInteraction);
+    }
+
+    isActivationToggledByTap() {
+        const { touch } = this.getActivationInteraction();
+
+        return touch === constants.INTERACTIONS.TAP || touch === constants.INTERACTIONS.DOUBLE_TAP;
+    }
+
+    shouldIgnoreMouseButtonEvent(e) {
+        // Taps are followed by emulated mouse events, which must not count as clicks.
+        return this.shouldGuardAgainstMouseEmulationByDevices
+            || !this.state.detectedEnvironment.isMouseDetected
+            || e.button !== 0;
+    }
+
+    setPositionState(position, timestamp, state = {}) {
+        const offsetPosition = this.getOffsetPosition(position);
+        const isPositionOutside = this.getIsPositionOutside(position);
+        const scrollOffset = this.getViewportScrollOffset();
+
+        this.lastViewportPosition = {
+            x: position.x - scrollOffset.x,
+            y: position.y - scrollOffset.y
+        };
+
+        this.setState(objectAssign({
+            activeZones: this.setActiveZones(this.getActiveZones(offsetPosition), offsetPosition),
+            isPositionOutside,
+            position: offsetPosition
+        },
+        state,
+        timestamp === undefined ? {} : this.getMotionState(offsetPosition, timestamp),
+        this.getSmoothingState(offsetPosition, timestamp)), () => {
+            this.triggerOnPositionChanged();
+        });
+    }
+
+    getSmoothingState(position, timestamp) {
+        const { smoothing } = this.props;
 
-        this.init();
-        this.onTouchDetected();
-        this.setShouldGuardAgainstMouseEmulationByDevices();
-        this.setPositionState(position);
+        if (!smoothing) {
+            return {};
+        }
 
-        if (this.props.isActivatedOnTouch) {
-            e.preventDefault();
-            this.activate();
-            return;
+        // Positions corrected for layout changes are not samples of the cursor, so smoothing restarts from them.
+        if (timestamp === undefined) {
+            this.resetSmoothing();
+            return { smoothedPosition: position };
         }
 
-        this.initPressEventCriteria(position);
-        this.setPressEventTimer();
+        return { smoothedPosition: smoothing.filter(position, timestamp) };
     }
 
-    onTouchMove(e) {
-        const position = this.getDocumentRelativePosition(this.getTouchEvent(e));
+    resetSmoothing() {
+        const { smoothing } = this.props;
 
-        if (!this.state.isActive) {
-            this.setPressEventCriteria(position);
+        if (smoothing && smoothing.reset) {
+            smoothing.reset();
+        }
+    }
+
+    schedulePositionState(sample) {
+        if (!this.props.shouldBatchPositionUpdates) {
+            this.commitPositionSample(sample);
             return;
         }
 
-        this.setPositionState(position);
-        e.preventDefault();
-    }
+        this.positionSamples.push(sample);
 
-    onTouchEnd() {
-        this.deactivate();
-        this.unsetShouldGuardAgainstMouseEmulationByDevices();
+        if (this.animationFrameId === null) {
+            this.animationFrameId = requestAnimationFrame(this.flushPositionSamples);
+        }
     }
 
-    onTouchCancel() {
-        this.deactivate();
-        this.unsetShouldGuardAgainstMouseEmulationByDevices();
-    }
+    flushPositionSamples() {
+        const samples = this.positionSamples;
+        const lastSample = samples[samples.length - 1];
 
-    onMouseEnter(e) {
-        if (this.shouldGuardAgainstMouseEmulationByDevices) {
+        this.cancelPositionSamples();
+
+        if (!lastSample) {
             return;
         }
 
-        this.init();
-        this.onMouseDetected();
-        this.setPositionState(this.getDocumentRelativePosition(e));
-        this.clearActivationTimers();
-        this.schedulActivation(this.props.hoverDelayInMs);
-    }
+        this.commitPositionSample(lastSample);
 
-    onMouseMove(e) {
-        this.setPositionState(this.getDocumentRelativePosition(e));
+        this.props.onPositionSamples(samples.map(({ position, timestamp }) => {
+            return {
+                isPositionOutside: this.getIsPositionOutside(position),
+                position: this.getOffsetPosition(position),
+                timestamp
+            };
+        }));
     }
 
-    onMouseLeave() {
-        this.clearActivationTimers();
-        this.scheduleDeactivation(this.props.hoverOffDelayInMs);
-        this.setState({ isPositionOutside: true });
+    // Pointer, touch and drag state is committed with the position, in a single update.
+    commitPositionSample({ pointerState, position, timestamp, touchPoints }) {
+        const drag = this.getDrag(position);
+
+        this.setPositionState(position, timestamp, objectAssign(
+            {},
+            pointerState,
+            touchPoints ? this.getTouchesState(touchPoints) : {},
+            drag ? objectAssign({ isDragging: true }, omit(drag, 'position')) : {}
+        ));
+
+        if (drag) {
+            this.props.onDrag(drag);
+        }
     }
 
-    onTouchDetected() {
-        const environment = {
-            isTouchDetected: true,
-            isMouseDetected: false
-        };
+    cancelPositionSamples() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+        }
 
-        this.setState({ detectedEnvironment: environment });
-        this.props.onDetectedEnvironmentChanged(environment);
+        this.animationFrameId = null;
+        this.positionSamples = [];
     }
 
-    onMouseDetected() {
-        const environment = {
-            isTouchDetected: false,
-            isMouseDetected: true
+    getMotionState(position, timestamp) {
+        const previousSample = this.motionSample;
+
+        if (!previousSample) {
+            this.motionSample = { position, timestamp };
+            return {
+                velocity: { x: 0, y: 0 },
+                speed: 0,
+                acceleration: 0,
+                direction: { angle: 0, cardinal: '' }
+            };
+        }
+
+        const elapsed = timestamp - previousSample.timestamp;
+
+        // Coalesced events may share a timestamp; fold them into the next sample.
+        if (elapsed <= 0) {
+            return {};
+        }
+
+        const dx = position.x - previousSample.position.x;
+        const dy = position.y - previousSample.position.y;
+        const velocity = {
+            x: dx / elapsed,
+            y: dy / elapsed
+        };
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        const motionState = {
+            velocity,
+            speed,
+            acceleration: (speed - this.state.speed) / elapsed
         };
 
-        this.setState({ detectedEnvironment: environment });
-        this.props.onDetectedEnvironmentChanged(environment);
+        this.motionSample = { position, timestamp };
+
+        if (dx || dy) {
+            const angle = getAngle(previousSample.position, position);
+            motionState.direction = {
+                angle,
+                cardinal: getCardinalDirection(angle)
+            };
+        }
+
+        return motionState;
     }
 
-    componentDidMount() {
-        this.addEventListeners();
+    setPointerState(e) {
+        this.setState(this.getPointerState(e));
     }
 
-    componentWillUnmount() {
-        this.clearTimers();
-        this.removeEventListeners();
+    getPointerState(e) {
+        if (!this.props.shouldUsePointerEvents) {
+            return {};
+        }
+
+        const {
+            pointerType,
+            pressure = 0,
+            tiltX = 0,
+            tiltY = 0,
+            twist = 0
+        } = e;
+
+        return {
+            pointerType,
+            pressure,
+            tiltX,
+            tiltY,
+            twist
+        };
     }
 
-    init() {
-        const { x, y, w, h } = this.getDocumentRelativeElementOffset(this.el);
-        this.elementOffset = { x, y };
-        this.setElementDimensionsState({ width: w, height: h });
+    setTouchesState(touchPoints) {
+        this.setState(this.getTouchesState(touchPoints));
     }
 
-    activate() {
-        this.setState({ isActive: true });
-        this.props.onActivationChanged({ isActive: true });
+    getTouchesState(touchPoints) {
+        const touches = touchPoints.map(({ identifier, pageX, pageY }) => {
+            return objectAssign(
+                { identifier },
+                this.getOffsetPosition({ x: pageX, y: pageY })
+            );
+        });
+
+        if (!touches.length) {
+            this.primaryTouchIdentifier = null;
+        }
+
+        return objectAssign(
+            { touches },
+            touches.length ? { centroid: getCentroid(touches) } : {},
+            this.getTwoFingerGestureState(touches)
+        );
     }
 
-    deactivate() {
-        this.clearTimer(constants.PRESS_EVENT_TIMER_NAME);
+    getTwoFingerGestureState(touches) {
+        if (touches.length < 2) {
+            this.twoFingerGesture = null;
+            return {
+                scale: 1,
+                rotation: 0
+            };
+        }
 
-        this.setState({ isActive: false }, () => {
-            const { isPositionOutside, position } = this.state;
+        const [touchA, touchB] = touches;
+        const distance = getDistance(touchA, touchB);
+        const angle = getAngle(touchA, touchB);
+        const gesture = this.twoFingerGesture;
+
+        if (
+            !gesture ||
+            gesture.identifiers[0] !== touchA.identifier ||
+            gesture.identifiers[1] !== touchB.identifier
+        ) {
+            this.twoFingerGesture = {
+                identifiers: [touchA.identifier, touchB.identifier],
+                initialDistance: distance,
+                lastAngle: angle,
+                rotation: 0
+            };
+            return {
+                scale: 1,
+                rotation: 0
+            };
+        }
 
-            this.props.onPositionChanged({
-                isPositionOutside,
-                position
-            });
+        gesture.rotation += getAngleDelta(gesture.lastAngle, angle);
+        gesture.lastAngle = angle;
 
-            this.props.onActivationChanged({ isActive: false });
-        });
+        return {
+            scale: gesture.initialDistance ? distance / gesture.initialDistance : 1,
+            rotation: gesture.rotation
+        };
     }
 
-    setPositionState(position) {
-        const offsetPosition = this.getOffsetPosition(position);
-        const isPositionOutside = this.getIsPositionOutside(position);
+    setTouchPointer(e) {
+        const { pointerId: identifier, pageX, pageY } = e;
+        const touchPointer = { identifier, pageX, pageY };
+        const isTracked = this.touchPointers.some((pointer) => {
+            return pointer.identifier === identifier;
+        });
 
-        this.setState({
-            isPositionOutside,
-            position: offsetPosition
-        }, () => {
-            this.triggerOnPositionChanged();
+        if (!isTracked) {
+            this.touchPointers = this.touchPointers.concat(touchPointer);
+            return;
+        }
+
+        this.touchPointers = this.touchPointers.map((pointer) => {
+            return pointer.identifier === identifier ? touchPointer : pointer;
+        });
+    }
+
+    unsetTouchPointer(e) {
+        this.touchPointers = this.touchPointers.filter(({ identifier }) => {
+            return identifier !== e.pointerId;
         });
     }
 
@@ -221,6 +1499,29 @@ export default class extends React.Component {
         });
     }
 
+    scheduleHoverIntentActivation() {
+        const { hoverIntentInterval, hoverIntentSensitivity } = this.props;
+        const timer = { name: constants.SET_ACTIVATION_TIMER_NAME };
+        let previousPosition = this.mousePosition;
+
+        // As in the hoverIntent jQuery plugin, the cursor is polled until it moves less than sensitivity in an interval.
+        const poll = () => {
+            const { x, y } = this.mousePosition;
+            const distance = Math.abs(x - previousPosition.x) + Math.abs(y - previousPosition.y);
+
+            if (distance < hoverIntentSensitivity) {
+                this.activate();
+                return;
+            }
+
+            previousPosition = this.mousePosition;
+            timer.id = setTimeout(poll, hoverIntentInterval);
+        };
+
+        timer.id = setTimeout(poll, hoverIntentInterval);
+        this.timers.push(timer);
+    }
+
     scheduleDeactivation(schedule) {
         const scheduleId = setTimeout(() => {
             this.deactivate();
@@ -238,29 +1539,82 @@ export default class extends React.Component {
     }
 
     setPressEventTimer() {
-        const {
-            pressDuration,
-            pressMoveThreshold
-        } = this.props;
+        const { pressDuration } = this.props;
 
+        this.pressStartTime = Date.now();
         this.timers.push({
             name: constants.PRESS_EVENT_TIMER_NAME,
             id: setTimeout(() => {
-                if (Math.abs(this.currentElTop - this.initialElTop) < pressMoveThreshold) {
-                    this.activate();
-                }
+                this.isPressPending = false;
+                this.stopPressProgress();
+                this.activate();
             }, pressDuration)
         });
+
+        // Progress is reported on animation frames, which are only requested when observed.
+        if (this.props.onPressProgress !== noop) {
+            this.pressAnimationFrameId = requestAnimationFrame(this.tickPressProgress);
+        }
+    }
+
+    tickPressProgress() {
+        const { pressDuration } = this.props;
+        const elapsed = Math.min(Date.now() - this.pressStartTime, pressDuration);
+
+        this.props.onPressProgress({
+            elapsed,
+            progress: pressDuration ? elapsed / pressDuration : 1
+        });
+        this.pressAnimationFrameId = requestAnimationFrame(this.tickPressProgress);
+    }
+
+    stopPressProgress() {
+        if (this.pressAnimationFrameId !== null) {
+            cancelAnimationFrame(this.pressAnimationFrameId);
+            this.pressAnimationFrameId = null;
+        }
     }
 
     setPressEventCriteria(position) {
-        this.currentElTop = position.y;
+        this.pressPosition = position;
+
+        if (this.isPressPending && !this.isWithinPressMoveThreshold(this.pressStartPosition, position)) {
+            this.cancelPress('moved');
+        }
     }
 
     initPressEventCriteria(position) {
-        const top = position.y
-        this.initialElTop = top;
-        this.currentElTop = top;
+        this.isPressPending = true;
+        this.pressStartPosition = position;
+        this.pressPosition = position;
+        this.props.onPressStart({ position: this.getOffsetPosition(position) });
+    }
+
+    cancelPress(reason) {
+        if (!this.isPressPending) {
+            return;
+        }
+
+        this.isPressPending = false;
+        this.clearTimer(constants.PRESS_EVENT_TIMER_NAME);
+        this.stopPressProgress();
+        this.props.onPressCancel({
+            position: this.getOffsetPosition(this.pressPosition),
+            reason
+        });
+    }
+
+    isWithinPressMoveThreshold(fromPosition, toPosition) {
+        const { pressMoveThreshold } = this.props;
+
+        if (typeof pressMoveThreshold === 'number') {
+            return getDistance(fromPosition, toPosition) < pressMoveThreshold;
+        }
+
+        return (
+            Math.abs(toPosition.x - fromPosition.x) < pressMoveThreshold.x &&
+            Math.abs(toPosition.y - fromPosition.y) < pressMoveThreshold.y
+        );
     }
 
     setShouldGuardAgainstMouseEmulationByDevices() {
@@ -292,27 +1646,62 @@ export default class extends React.Component {
         });
     }
 
+    getActiveZones(offsetPosition) {
+        return getActiveZones(this.props.zones, offsetPosition, this.elementDimensions);
+    }
+
+    setActiveZones(activeZones, position) {
+        const previousZones = this.activeZones;
+
+        this.activeZones = activeZones;
+
+        previousZones
+            .filter(name => activeZones.indexOf(name) === -1)
+            .forEach(name => this.props.onZoneLeave({ name, position }));
+        activeZones
+            .filter(name => previousZones.indexOf(name) === -1)
+            .forEach(name => this.props.onZoneEnter({ name, position }));
+
+        return activeZones;
+    }
+
     getIsPositionOutside(position) {
-        const { x, y } = position;
-        const { x: elx, y: ely } = this.elementOffset;
-        const { width: elw, height: elh } = this.state.elementDimensions;
+        const { x, y } = this.getOffsetPosition(position);
+        const { width: elw, height: elh } = this.elementDimensions;
 
         return (
-            x < elx ||
-            x > elx + elw ||
-            y < ely ||
-            y > ely + elh
+            x < 0 ||
+            x > elw ||
+            y < 0 ||
+            y > elh
         );
     }
 
     getOffsetPosition(position) {
         const { x: cursorX, y: cursorY } = position;
         const { x: offsetX, y: offsetY } = this.elementOffset;
-
-        return {
+        const offsetPosition = {
             x: cursorX - offsetX,
             y: cursorY - offsetY
         };
+
+        if (!this.elementInverseTransform) {
+            return offsetPosition;
+        }
+
+        return applyTransform(this.elementInverseTransform, offsetPosition);
+    }
+
+    getDocumentRelativeOffsetPosition(offsetPosition) {
+        const { x: offsetX, y: offsetY } = this.elementOffset;
+        const { x, y } = this.elementInverseTransform
+            ? applyTransform(invertTransform(this.elementInverseTransform), offsetPosition)
+            : offsetPosition;
+
+        return {
+            x: x + offsetX,
+            y: y + offsetY
+        };
     }
 
     getDocumentRelativeElementOffset(el) {
@@ -322,12 +1711,18 @@ export default class extends React.Component {
             top: docTop
         } = rootEl.getBoundingClientRect();
 
+        const rect = el.getBoundingClientRect();
+
+        if (this.props.shouldInvertTransforms) {
+            return this.getTransformedElementOffset(el, rect, docLeft, docTop);
+        }
+
         const {
             left: elLeft,
             top: elTop,
             width: w,
             height: h
-        } = el.getBoundingClientRect();
+        } = rect;
 
         return {
             x: Math.abs(docLeft) + elLeft,
@@ -337,6 +1732,27 @@ export default class extends React.Component {
         };
     }
 
+    getTransformedElementOffset(el, rect, docLeft, docTop) {
+        const transform = getCumulativeTransform(el);
+        const { offsetWidth: w, offsetHeight: h } = el;
+        const origin = getTransformedOrigin(transform, rect, w, h);
+
+        return {
+            x: Math.abs(docLeft) + origin.x,
+            y: Math.abs(docTop) + origin.y,
+            h,
+            w,
+            inverseTransform: invertTransform(transform)
+        };
+    }
+
+    getViewportScrollOffset() {
+        return {
+            x: window.pageXOffset || 0,
+            y: window.pageYOffset || 0
+        };
+    }
+
     getRootOfEl(el) {
         if (el.parentElement) {
             return this.getRootOfEl(el.parentElement);
@@ -351,13 +1767,53 @@ export default class extends React.Component {
         };
     }
 
-    getTouchEvent(e) {
-        return e.touches[0];
+    setMouseButtonState(e) {
+        // Fall back to the last known buttons where MouseEvent.buttons is not supported.
+        const buttons = typeof e.buttons === 'number' ? e.buttons : this.state.buttons;
+
+        this.setState(objectAssign({
+            buttons,
+            isPrimaryButtonDown: (buttons & 1) === 1
+        }, this.getModifierKeyState(e)));
+    }
+
+    getModifierKeyState(e) {
+        return {
+            altKey: !!e.altKey,
+            ctrlKey: !!e.ctrlKey,
+            metaKey: !!e.metaKey,
+            shiftKey: !!e.shiftKey
+        };
+    }
+
+    getEventTimestamp(e) {
+        return e && typeof e.timeStamp === 'number' ? e.timeStamp : Date.now();
+    }
+
+    getTouchPoints(e) {
+        return Array.prototype.slice.call(e.touches);
+    }
+
+    getPrimaryTouch(touchPoints) {
+        const primaryTouch = touchPoints.filter(({ identifier }) => {
+            return identifier === this.primaryTouchIdentifier;
+        })[0] || touchPoints[0];
+
+        this.primaryTouchIdentifier = primaryTouch.identifier;
+        return primaryTouch;
+    }
+
+    hasRemainingTouches(e) {
+        return !!(e && e.touches && e.touches.length);
+    }
+
+    isTouchPointer(e) {
+        return e.pointerType === 'touch';
     }
 
     triggerOnPositionChanged() {
         this.props.onPositionChanged(omit(
-            this.state,
+            this.getPublicState(),
             'isActive'
         ));
     }
@@ -378,6 +1834,14 @@ export default class extends React.Component {
         return cloneElement(child, props);
     }
 
+    renderChildren(children, props) {
+        if (typeof children === 'function') {
+            return children(props);
+        }
+
+        return this.decorateChildren(children, props);
+    }
+
     decorateChildren(children, props) {
         return Children.map(children, (child) => {
             return this.shouldDecorateChild(child) ? this.decorateChild(child, props) : child;
@@ -385,45 +1849,185 @@ export default class extends React.Component {
     }
 
     addEventListeners() {
+        if (this.props.shouldUsePointerEvents) {
+            this.addPointerEventListeners();
+            return;
+        }
+
         this.eventListeners.push(
-            addEventListener(this.el, 'touchstart', this.onTouchStart, { passive: false }),
-            addEventListener(this.el, 'touchmove', this.onTouchMove, { passive: false }),
-            addEventListener(this.el, 'touchend', this.onTouchEnd),
-            addEventListener(this.el, 'touchcancel', this.onTouchCancel)
+            addEventListener(this.el, 'touchstart', this.getRecordedHandler('onTouchStart'), { passive: false }),
+            addEventListener(this.el, 'touchmove', this.getRecordedHandler('onTouchMove'), { passive: false }),
+            addEventListener(this.el, 'touchend', this.getRecordedHandler('onTouchEnd')),
+            addEventListener(this.el, 'touchcancel', this.getRecordedHandler('onTouchCancel'))
         );
     }
 
+    addPointerEventListeners() {
+        this.eventListeners.push(
+            addEventListener(this.el, 'pointerenter', this.getRecordedHandler('onPointerEnter')),
+            addEventListener(this.el, 'pointerdown', this.getRecordedHandler('onPointerDown')),
+            addEventListener(this.el, 'pointermove', this.getRecordedHandler('onPointerMove')),
+            addEventListener(this.el, 'pointerup', this.getRecordedHandler('onPointerUp')),
+            addEventListener(this.el, 'pointercancel', this.getRecordedHandler('onPointerCancel')),
+            addEventListener(this.el, 'pointerleave', this.getRecordedHandler('onPointerLeave')),
+            addEventListener(this.el, 'touchmove', this.onTouchMoveWhilePointerActive, { passive: false })
+        );
+    }
+
+    updateHeatmap() {
+        if (this.props.heatmap) {
+            this.props.heatmap.update(this.getHeatmapPosition());
+        }
+    }
+
+    getHeatmapPosition() {
+        const {
+            detectedEnvironment: { isMouseDetected },
+            elementDimensions: { width, height },
+            isActive,
+            isPositionOutside,
+            position
+        } = this.state;
+
+        // Mouse dwell is counted while hovering, touch dwell only while active.
+        if (isPositionOutside || !(isActive || isMouseDetected) || !width || !height) {
+            return null;
+        }
+
+        return {
+            x: position.x / width,
+            y: position.y / height
+        };
+    }
+
+    getRecordedHandler(handlerName) {
+        // Memoized so that the same listener is added and removed.
+        if (!this.recordedHandlers[handlerName]) {
+            this.recordedHandlers[handlerName] = (e) => {
+                this.recordEvent(handlerName, e);
+                this[handlerName](e);
+            };
+        }
+
+        return this.recordedHandlers[handlerName];
+    }
+
+    recordEvent(handlerName, e) {
+        const { recorder } = this.props;
+
+        if (recorder) {
+            recorder.record(handlerName, serializeEvent(e, this.el));
+        }
+    }
+
     removeEventListeners() {
         while (this.eventListeners.length) {
             this.eventListeners.pop().removeEventListener();
         }
     }
 
+    getPublicState() {
+        const { elementDimensions, position } = this.state;
+
+        return objectAssign(
+            {},
+            this.state,
+            getPositionOutputs(this.props.positionOutputs, position, elementDimensions),
+            getSnapOutputs(this.props.snap, position, elementDimensions)
+        );
+    }
+
+    // Mapped once per state and props, so consumers can tell whether they rendered it.
+    getMappedState() {
+        const { props, state } = this;
+        const cache = this.mappedState;
+
+        if (!cache || cache.props !== props || cache.state !== state) {
+            this.mappedState = {
+                mappedState: props.mapChildProps(this.getPublicState()),
+                props,
+                state
+            };
+        }
+
+        return this.mappedState.mappedState;
+    }
+
+    subscribe(subscriber) {
+        this.contextSubscribers = this.contextSubscribers.concat(subscriber);
+
+        return () => {
+            this.contextSubscribers = this.contextSubscribers.filter(s => s !== subscriber);
+        };
+    }
+
     getPassThroughProps() {
         const ownPropNames = Object.keys(this.constructor.propTypes);
         return omit(this.props, ownPropNames);
     }
 
+    getMouseEventHandlers() {
+        const clickHandlers = {
+            onClick: this.getRecordedHandler('onClick'),
+            onDoubleClick: this.getRecordedHandler('onDoubleClick')
+        };
+
+        if (this.props.shouldUsePointerEvents) {
+            return clickHandlers;
+        }
+
+        return objectAssign({
+            onMouseDown: this.getRecordedHandler('onMouseDown'),
+            onMouseEnter: this.getRecordedHandler('onMouseEnter'),
+            onMouseMove: this.getRecordedHandler('onMouseMove'),
+            onMouseLeave: this.getRecordedHandler('onMouseLeave'),
+            onMouseUp: this.getRecordedHandler('onMouseUp')
+        }, clickHandlers);
+    }
+
+    getKeyboardProps() {
+        const { isKeyboardNavigable, keyboardLabel, keyboardRole } = this.props;
+
+        if (!isKeyboardNavigable) {
+            return {};
+        }
+
+        return {
+            'aria-label': keyboardLabel,
+            onBlur: this.onBlur,
+            onKeyDown: this.onKeyDown,
+            role: keyboardRole,
+            tabIndex: 0
+        };
+    }
+
+    getTouchActionStyle() {
+        const { shouldUsePointerEvents } = this.props;
+
+        if (!shouldUsePointerEvents || this.getActivationInteraction().touch !== constants.INTERACTIONS.TOUCH) {
+            return {};
+        }
+
+        return { touchAction: 'none' };
+    }
+
     render() {
-        const { children, className, mapChildProps, style } = this.props;
+        const { children, className, style } = this.props;
         const props = objectAssign(
             {},
-            mapChildProps(this.state),
+            this.getMappedState(),
             this.getPassThroughProps()
         );
 
         return (
-            <div { ...{
+            <div { ...objectAssign({
                 className,
-                onMouseEnter: this.onMouseEnter,
-                onMouseMove: this.onMouseMove,
-                onMouseLeave: this.onMouseLeave,
                 ref: (el) => this.el = el,
-                style: objectAssign({}, style, {
+                style: objectAssign({}, style, this.getTouchActionStyle(), {
                     WebkitUserSelect: 'none'
                 })
-            }}>
-                {this.decorateChildren(children, props)}
+            }, this.getMouseEventHandlers(), this.getKeyboardProps())}>
+                {this.renderChildren(children, props)}
             </div>
         );
     }
@@ -1,4 +1,34 @@
 export const PRESS_EVENT_TIMER_NAME = 'pressEvent';
+export const LONG_PRESS_TIMER_NAME = 'longPress';
 export const MOUSE_EMULATION_GUARD_TIMER_NAME = 'mouseEmulation';
 export const SET_ACTIVATION_TIMER_NAME = 'setHovering';
 export const UNSET_ACTIVATION_TIMER_NAME = 'unsetHovering';
+export const CONTEXT_KEY = 'reactCursorPosition';
+export const INTERACTIONS = {
+    CLICK: 'click',
+    DOUBLE_CLICK: 'doubleClick',
+    DOUBLE_TAP: 'doubleTap',
+    HOVER: 'hover',
+    HOVER_INTENT: 'hoverIntent',
+    PRESS: 'press',
+    PRESS_AND_HOLD: 'pressAndHold',
+    TAP: 'tap',
+    TOGGLE_ON_CLICK: 'toggleOnClick',
+    TOUCH: 'touch'
+};
+export const MOUSE_INTERACTIONS = [
+    INTERACTIONS.HOVER,
+    INTERACTIONS.HOVER_INTENT,
+    INTERACTIONS.CLICK,
+    INTERACTIONS.DOUBLE_CLICK,
+    INTERACTIONS.TOGGLE_ON_CLICK,
+    INTERACTIONS.PRESS_AND_HOLD
+];
+export const TOUCH_INTERACTIONS = [
+    INTERACTIONS.PRESS,
+    INTERACTIONS.TOUCH,
+    INTERACTIONS.TAP,
+    INTERACTIONS.DOUBLE_TAP
+];
+export const POINTER_LOCK_BOUNDARIES = ['none', 'clamp', 'wrap'];
+export const UNITS = ['normalized', 'px'];
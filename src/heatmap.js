@@ -0,0 +1,97 @@
+import noop from './utils/noop';
+
+export function createHeatmap({ columns = 10, rows = 10, onChange = noop } = {}) {
+    let cells = createCells(columns, rows);
+    let visit = null;
+
+    function getCell(position) {
+        if (!position) {
+            return null;
+        }
+
+        return cells[clampIndex(position.y, rows)][clampIndex(position.x, columns)];
+    }
+
+    // The open visit is included without being ended.
+    function getDwell(cell, timestamp) {
+        return visit && visit.cell === cell
+            ? cell.dwell + timestamp - visit.startTime
+            : cell.dwell;
+    }
+
+    function exportCells(timestamp) {
+        return cells.map(row => row.map(cell => ({
+            dwell: getDwell(cell, timestamp),
+            height: 1 / rows,
+            visits: cell.visits,
+            width: 1 / columns,
+            x: cell.column / columns,
+            y: cell.row / rows
+        })));
+    }
+
+    function getHeatmap(timestamp = Date.now()) {
+        return {
+            cells: exportCells(timestamp),
+            columns,
+            rows
+        };
+    }
+
+    return {
+        // Position is normalized to the element, or null when the cursor is not over it.
+        update(position, timestamp = Date.now()) {
+            const cell = getCell(position);
+            const previousCell = visit && visit.cell;
+
+            if (cell === previousCell) {
+                return;
+            }
+
+            if (previousCell) {
+                previousCell.dwell += timestamp - visit.startTime;
+            }
+
+            visit = cell ? { cell, startTime: timestamp } : null;
+
+            if (cell) {
+                cell.visits++;
+            }
+
+            if (previousCell) {
+                onChange(getHeatmap(timestamp));
+            }
+        },
+
+        reset() {
+            cells = createCells(columns, rows);
+            visit = null;
+        },
+
+        export(timestamp) {
+            return getHeatmap(timestamp);
+        },
+
+        toJSON() {
+            return getHeatmap();
+        }
+    };
+}
+
+function createCells(columns, rows) {
+    const cells = [];
+
+    for (let row = 0; row < rows; row++) {
+        cells.push([]);
+
+        for (let column = 0; column < columns; column++) {
+            cells[row].push({ column, dwell: 0, row, visits: 0 });
+        }
+    }
+
+    return cells;
+}
+
+function clampIndex(fraction, count) {
+    return Math.min(Math.max(Math.floor(fraction * count), 0), count - 1);
+}
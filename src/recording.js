@@ -0,0 +1,66 @@
+import noop from './utils/noop';
+import { deserializeEvent } from './utils/serializeEvent';
+
+export function createRecorder() {
+    let events = [];
+    let startTime = null;
+
+    return {
+        record(handler, event) {
+            const now = Date.now();
+
+            if (startTime === null) {
+                startTime = now;
+            }
+
+            events.push({
+                event,
+                handler,
+                time: now - startTime
+            });
+        },
+
+        clear() {
+            events = [];
+            startTime = null;
+        },
+
+        getLog() {
+            return { events: events.slice() };
+        },
+
+        toJSON() {
+            return this.getLog();
+        }
+    };
+}
+
+export function replay(component, log, { onComplete = noop } = {}) {
+    const { events } = log;
+    let index = 0;
+    let timeoutId = null;
+
+    function scheduleNext(previousTime) {
+        if (index >= events.length) {
+            timeoutId = null;
+            onComplete();
+            return;
+        }
+
+        timeoutId = setTimeout(() => {
+            const { event, handler, time } = events[index++];
+
+            component[handler](deserializeEvent(event, component.el));
+            scheduleNext(time);
+        }, events[index].time - previousTime);
+    }
+
+    scheduleNext(0);
+
+    return {
+        stop() {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+        }
+    };
+}
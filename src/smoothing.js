@@ -0,0 +1,83 @@
+function smooth(alpha, value, previousValue) {
+    return alpha * value + (1 - alpha) * previousValue;
+}
+
+function smoothPosition(alpha, position, previousPosition) {
+    return {
+        x: smooth(alpha, position.x, previousPosition.x),
+        y: smooth(alpha, position.y, previousPosition.y)
+    };
+}
+
+export function createExponentialFilter({ alpha = 0.5 } = {}) {
+    let previousPosition = null;
+
+    return {
+        filter(position) {
+            previousPosition = previousPosition
+                ? smoothPosition(alpha, position, previousPosition)
+                : position;
+
+            return previousPosition;
+        },
+
+        reset() {
+            previousPosition = null;
+        }
+    };
+}
+
+// Casiez, Roussel and Vogel, 1€ Filter: A Simple Speed-based Low-pass Filter for Noisy Input in Interactive Systems, CHI 2012.
+export function createOneEuroFilter({ beta = 0, derivativeCutoff = 1, minCutoff = 1 } = {}) {
+    let previous = null;
+
+    function getAlpha(elapsed, cutoff) {
+        const r = 2 * Math.PI * cutoff * elapsed;
+        return r / (r + 1);
+    }
+
+    function filterValue(value, previousValue, previousDerivative, elapsed) {
+        const derivative = smooth(
+            getAlpha(elapsed, derivativeCutoff),
+            (value - previousValue) / elapsed,
+            previousDerivative
+        );
+        const cutoff = minCutoff + beta * Math.abs(derivative);
+
+        return {
+            derivative,
+            value: smooth(getAlpha(elapsed, cutoff), value, previousValue)
+        };
+    }
+
+    return {
+        filter(position, timestamp) {
+            // Timestamps are in milliseconds and cutoff frequencies in hertz.
+            const elapsed = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+
+            if (!previous) {
+                previous = { derivative: { x: 0, y: 0 }, position, timestamp };
+                return position;
+            }
+
+            if (elapsed <= 0) {
+                return previous.position;
+            }
+
+            const x = filterValue(position.x, previous.position.x, previous.derivative.x, elapsed);
+            const y = filterValue(position.y, previous.position.y, previous.derivative.y, elapsed);
+
+            previous = {
+                derivative: { x: x.derivative, y: y.derivative },
+                position: { x: x.value, y: y.value },
+                timestamp
+            };
+
+            return previous.position;
+        },
+
+        reset() {
+            previous = null;
+        }
+    };
+}
@@ -0,0 +1,100 @@
+import objectAssign from 'object-assign';
+import noop from './utils/noop';
+
+const TOUCH_IDENTIFIER = 0;
+
+export function getChildProps(instance) {
+    return objectAssign({}, instance.getMappedState(), instance.getPassThroughProps());
+}
+
+export function simulateHover(instance, { clock, position = { x: 0, y: 0 } } = {}) {
+    instance.onMouseEnter(getMouseEvent(instance, position));
+    tick(clock, instance.props.hoverDelayInMs);
+
+    return getChildProps(instance);
+}
+
+export function simulateLeave(instance, { clock } = {}) {
+    instance.onMouseLeave();
+    tick(clock, instance.props.hoverOffDelayInMs);
+
+    return getChildProps(instance);
+}
+
+export function simulateTouchPress(instance, { position = { x: 0, y: 0 } } = {}) {
+    instance.onTouchStart(getTouchEvent(instance, [position]));
+
+    return getChildProps(instance);
+}
+
+export function simulateTouchRelease(instance) {
+    instance.onTouchEnd(getTouchEvent(instance, []));
+
+    return getChildProps(instance);
+}
+
+export function simulateMove(instance, { position = { x: 0, y: 0 } } = {}) {
+    if (instance.state.detectedEnvironment.isTouchDetected) {
+        instance.onTouchMove(getTouchEvent(instance, [position]));
+    } else {
+        instance.onMouseMove(getMouseEvent(instance, position));
+    }
+
+    // Batched moves would otherwise wait for the next animation frame.
+    instance.flushPositionSamples();
+
+    return getChildProps(instance);
+}
+
+export function advancePressDuration(instance, { clock } = {}) {
+    if (!clock) {
+        throw new Error('advancePressDuration requires a clock with a tick method, such as sinon.useFakeTimers()');
+    }
+
+    clock.tick(instance.props.pressDuration);
+
+    return getChildProps(instance);
+}
+
+function tick(clock, duration) {
+    if (clock) {
+        clock.tick(duration);
+    }
+}
+
+function getMouseEvent(instance, position) {
+    const { x: pageX, y: pageY } = getPagePosition(instance, position);
+
+    return {
+        button: 0,
+        buttons: 0,
+        currentTarget: instance.el,
+        pageX,
+        pageY,
+        preventDefault: noop,
+        target: instance.el
+    };
+}
+
+function getTouchEvent(instance, positions) {
+    return {
+        currentTarget: instance.el,
+        preventDefault: noop,
+        target: instance.el,
+        touches: positions.map((position) => {
+            const { x: pageX, y: pageY } = getPagePosition(instance, position);
+
+            return {
+                identifier: TOUCH_IDENTIFIER,
+                pageX,
+                pageY
+            };
+        })
+    };
+}
+
+function getPagePosition(instance, position) {
+    instance.measure();
+
+    return instance.getDocumentRelativeOffsetPosition(position);
+}
@@ -0,0 +1,18 @@
+const FRAME_DURATION_IN_MS = 16;
+
+export function requestAnimationFrame(callback) {
+    if (typeof window !== 'undefined' && window.requestAnimationFrame) {
+        return window.requestAnimationFrame(callback);
+    }
+
+    return setTimeout(callback, FRAME_DURATION_IN_MS);
+}
+
+export function cancelAnimationFrame(id) {
+    if (typeof window !== 'undefined' && window.cancelAnimationFrame) {
+        window.cancelAnimationFrame(id);
+        return;
+    }
+
+    clearTimeout(id);
+}
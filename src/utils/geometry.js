@@ -0,0 +1,45 @@
+export function getDistance(pointA, pointB) {
+    return Math.sqrt(
+        Math.pow(pointB.x - pointA.x, 2) +
+        Math.pow(pointB.y - pointA.y, 2)
+    );
+}
+
+export function getAngle(pointA, pointB) {
+    return Math.atan2(pointB.y - pointA.y, pointB.x - pointA.x) * 180 / Math.PI;
+}
+
+export function getAngleDelta(fromAngle, toAngle) {
+    const delta = (toAngle - fromAngle) % 360;
+
+    if (delta > 180) {
+        return delta - 360;
+    }
+
+    if (delta <= -180) {
+        return delta + 360;
+    }
+
+    return delta;
+}
+
+const CARDINAL_DIRECTIONS = ['E', 'SE', 'S', 'SW', 'W', 'NW', 'N', 'NE'];
+
+export function getCardinalDirection(angle) {
+    const index = Math.round(angle / 45);
+    return CARDINAL_DIRECTIONS[((index % 8) + 8) % 8];
+}
+
+export function getCentroid(points) {
+    const sum = points.reduce((acc, point) => {
+        return {
+            x: acc.x + point.x,
+            y: acc.y + point.y
+        };
+    }, { x: 0, y: 0 });
+
+    return {
+        x: sum.x / points.length,
+        y: sum.y / points.length
+    };
+}
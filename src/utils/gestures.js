@@ -0,0 +1,42 @@
+import { getDistance } from './geometry';
+
+export function isTap(gesture, { tapDuration, tapMoveThreshold }) {
+    return (
+        gesture.endTimestamp - gesture.startTimestamp <= tapDuration &&
+        getDistance(gesture.startPosition, gesture.position) <= tapMoveThreshold
+    );
+}
+
+export function isDoubleTap(previousTap, tap, { doubleTapDelay, tapMoveThreshold }) {
+    return (
+        !!previousTap &&
+        tap.startTimestamp - previousTap.endTimestamp <= doubleTapDelay &&
+        getDistance(previousTap.position, tap.position) <= tapMoveThreshold
+    );
+}
+
+export function getSwipe(gesture, { swipeMinDistance, swipeMinVelocity }) {
+    const { startPosition, position } = gesture;
+    const elapsed = Math.max(gesture.endTimestamp - gesture.startTimestamp, 1);
+    const dx = position.x - startPosition.x;
+    const dy = position.y - startPosition.y;
+    const distance = getDistance(startPosition, position);
+    const velocity = {
+        x: dx / elapsed,
+        y: dy / elapsed
+    };
+
+    if (distance < swipeMinDistance || distance / elapsed < swipeMinVelocity) {
+        return null;
+    }
+
+    return {
+        direction: Math.abs(dx) >= Math.abs(dy)
+            ? (dx < 0 ? 'left' : 'right')
+            : (dy < 0 ? 'up' : 'down'),
+        distance,
+        position,
+        startPosition,
+        velocity
+    };
+}
@@ -0,0 +1,44 @@
+import objectAssign from 'object-assign';
+
+function getRatio(value, extent) {
+    return extent ? value / extent : 0;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+const outputs = {
+    normalized: ({ x, y }, { width, height }) => ({
+        normalizedPosition: {
+            x: getRatio(x, width),
+            y: getRatio(y, height)
+        }
+    }),
+    percent: ({ x, y }, { width, height }) => ({
+        percentPosition: {
+            x: getRatio(x, width) * 100,
+            y: getRatio(y, height) * 100
+        }
+    }),
+    centered: ({ x, y }, { width, height }) => ({
+        centeredPosition: {
+            x: x - width / 2,
+            y: y - height / 2
+        }
+    }),
+    clamped: ({ x, y }, { width, height }) => ({
+        clampedPosition: {
+            x: clamp(x, 0, width),
+            y: clamp(y, 0, height)
+        }
+    })
+};
+
+export const POSITION_OUTPUTS = Object.keys(outputs);
+
+export default function getPositionOutputs(names, position, elementDimensions) {
+    return names.reduce((acc, name) => {
+        return objectAssign(acc, outputs[name](position, elementDimensions));
+    }, {});
+}
@@ -0,0 +1,60 @@
+import { getDistance } from './geometry';
+
+function getGrid(gridSize, scale) {
+    const { x, y } = typeof gridSize === 'number' ? { x: gridSize, y: gridSize } : gridSize;
+
+    return {
+        x: x * scale.width,
+        y: y * scale.height
+    };
+}
+
+function snapToGrid(value, size) {
+    return size ? Math.round(value / size) * size : value;
+}
+
+function getCellIndex(value, size) {
+    return size ? Math.floor(value / size) : 0;
+}
+
+function getNearestPoint(points, position, radius) {
+    return points.reduce((nearest, point) => {
+        const distance = getDistance(point, position);
+
+        if (distance > radius || (nearest && distance >= nearest.distance)) {
+            return nearest;
+        }
+
+        return { distance, point };
+    }, null);
+}
+
+export default function getSnapOutputs(snap, position, elementDimensions) {
+    if (!snap) {
+        return {};
+    }
+
+    const { gridSize, points = [], radius = 0, units } = snap;
+    const scale = units === 'normalized' ? elementDimensions : { width: 1, height: 1 };
+    const grid = gridSize === undefined ? null : getGrid(gridSize, scale);
+    const nearest = getNearestPoint(points.map(({ x, y }) => ({
+        x: x * scale.width,
+        y: y * scale.height
+    })), position, radius);
+
+    // Magnetic points take precedence over the grid.
+    const snappedPosition = nearest ? nearest.point : {
+        x: grid ? snapToGrid(position.x, grid.x) : position.x,
+        y: grid ? snapToGrid(position.y, grid.y) : position.y
+    };
+
+    if (!grid) {
+        return { snappedPosition };
+    }
+
+    return {
+        column: getCellIndex(position.x, grid.x),
+        row: getCellIndex(position.y, grid.y),
+        snappedPosition
+    };
+}
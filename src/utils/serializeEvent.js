@@ -0,0 +1,53 @@
+import objectAssign from 'object-assign';
+import omit from 'object.omit';
+import noop from './noop';
+
+const EVENT_PROPERTIES = [
+    'altKey',
+    'button',
+    'buttons',
+    'ctrlKey',
+    'metaKey',
+    'movementX',
+    'movementY',
+    'pageX',
+    'pageY',
+    'pointerId',
+    'pointerType',
+    'pressure',
+    'shiftKey',
+    'tiltX',
+    'tiltY',
+    'timeStamp',
+    'twist'
+];
+
+export default function serializeEvent(e, el) {
+    const event = {};
+
+    EVENT_PROPERTIES.forEach((property) => {
+        if (e[property] !== undefined) {
+            event[property] = e[property];
+        }
+    });
+
+    if (e.touches) {
+        event.touches = Array.prototype.slice.call(e.touches).map(({ identifier, pageX, pageY }) => {
+            return { identifier, pageX, pageY };
+        });
+    }
+
+    if (e.target) {
+        event.isTargetInside = el.contains(e.target);
+    }
+
+    return event;
+}
+
+export function deserializeEvent(event, el) {
+    return objectAssign(omit(event, 'isTargetInside'), {
+        currentTarget: el,
+        preventDefault: noop,
+        target: event.isTargetInside === false ? el.ownerDocument.body : el
+    });
+}
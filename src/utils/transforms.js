@@ -0,0 +1,75 @@
+// Two dimensional linear transforms, { a, b, c, d }, in the column-major
+// order of the CSS matrix() function. Translation is deliberately omitted;
+// it is recovered from the element's bounding rectangle.
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1 };
+
+export function parseTransform(transform) {
+    const match = /^matrix(3d)?\((.+)\)$/.exec(transform || '');
+
+    if (!match) {
+        return IDENTITY;
+    }
+
+    const values = match[2].split(',').map(parseFloat);
+
+    if (match[1]) {
+        return { a: values[0], b: values[1], c: values[4], d: values[5] };
+    }
+
+    return { a: values[0], b: values[1], c: values[2], d: values[3] };
+}
+
+export function multiply(m1, m2) {
+    return {
+        a: m1.a * m2.a + m1.c * m2.b,
+        b: m1.b * m2.a + m1.d * m2.b,
+        c: m1.a * m2.c + m1.c * m2.d,
+        d: m1.b * m2.c + m1.d * m2.d
+    };
+}
+
+export function invert({ a, b, c, d }) {
+    const determinant = a * d - b * c;
+
+    if (!determinant) {
+        return IDENTITY;
+    }
+
+    return {
+        a: d / determinant,
+        b: -b / determinant,
+        c: -c / determinant,
+        d: a / determinant
+    };
+}
+
+export function apply({ a, b, c, d }, { x, y }) {
+    return {
+        x: a * x + c * y,
+        y: b * x + d * y
+    };
+}
+
+export function getCumulativeTransform(el) {
+    let matrix = IDENTITY;
+
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        matrix = multiply(parseTransform(window.getComputedStyle(node).transform), matrix);
+    }
+
+    return matrix;
+}
+
+export function getTransformedOrigin(matrix, rect, width, height) {
+    const corners = [
+        { x: 0, y: 0 },
+        { x: width, y: 0 },
+        { x: 0, y: height },
+        { x: width, y: height }
+    ].map(corner => apply(matrix, corner));
+
+    return {
+        x: rect.left - Math.min.apply(null, corners.map(({ x }) => x)),
+        y: rect.top - Math.min.apply(null, corners.map(({ y }) => y))
+    };
+}
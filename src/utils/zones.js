@@ -0,0 +1,47 @@
+import { getDistance } from './geometry';
+
+const hitTests = {
+    circle: ({ radius, x, y }, point) => getDistance({ x, y }, point) <= radius,
+    polygon: ({ points }, point) => isInPolygon(points, point),
+    rect: ({ height, width, x, y }, point) => (
+        point.x >= x &&
+        point.x <= x + width &&
+        point.y >= y &&
+        point.y <= y + height
+    )
+};
+
+export const ZONE_TYPES = Object.keys(hitTests);
+
+export default function getActiveZones(zones, position, elementDimensions) {
+    return zones
+        .filter(zone => hitTests[zone.type](zone, toZoneUnits(zone, position, elementDimensions)))
+        .map(({ name }) => name);
+}
+
+function toZoneUnits({ units }, { x, y }, { width, height }) {
+    if (units !== 'normalized') {
+        return { x, y };
+    }
+
+    return {
+        x: width ? x / width : 0,
+        y: height ? y / height : 0
+    };
+}
+
+// Even-odd rule: count the edges crossed by a horizontal ray cast from the point.
+function isInPolygon(points, { x, y }) {
+    let isInside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            isInside = !isInside;
+        }
+    }
+
+    return isInside;
+}
@@ -2,8 +2,17 @@ import React from 'react';
 import { shallow, mount, render } from 'enzyme';
 import { expect } from 'chai';
 import sinon from 'sinon';
-
-import ReactCursorPosition from '../src/ReactCursorPosition';
+import objectAssign from 'object-assign';
+
+import ReactCursorPosition, {
+    createExponentialFilter,
+    createHeatmap,
+    createOneEuroFilter,
+    createRecorder,
+    CursorPositionConsumer,
+    INTERACTIONS,
+    replay
+} from '../src/ReactCursorPosition';
 import GenericSpanComponent from './support/GenericSpanComponent';
 import * as utils from '../src/utils/addEventListener';
 
@@ -33,17 +42,54 @@ describe('ReactCursorPosition', () => {
                 width: 0,
                 height: 0
             },
+            altKey: false,
+            buttons: 0,
+            ctrlKey: false,
+            isPrimaryButtonDown: false,
+            metaKey: false,
+            shiftKey: false,
+            isDragging: false,
+            dragStartPosition: {
+                x: 0,
+                y: 0
+            },
+            dragDelta: {
+                x: 0,
+                y: 0
+            },
+            dragDistance: 0,
+            activeZones: [],
+            acceleration: 0,
+            centroid: {
+                x: 0,
+                y: 0
+            },
+            direction: {
+                angle: 0,
+                cardinal: ''
+            },
             isActive: false,
             isPositionOutside: true,
             position: {
                 x: 0,
                 y: 0
+            },
+            rotation: 0,
+            scale: 1,
+            speed: 0,
+            touches: [],
+            velocity: {
+                x: 0,
+                y: 0
             }
         });
     });
 
     it('has correct default props', () => {
         const defaults = positionObserver.instance().constructor.defaultProps;
+        expect(defaults.activationInteraction).to.deep.equal({});
+        expect(defaults.hoverIntentInterval).to.equal(100);
+        expect(defaults.hoverIntentSensitivity).to.equal(7);
         expect(defaults.isActivatedOnTouch).to.equal(false);
         expect(defaults.mapChildProps).to.be.a('function');
         expect(defaults.pressDuration).to.equal(500);
@@ -54,6 +100,11 @@ describe('ReactCursorPosition', () => {
         expect(defaults.onDetectedEnvironmentChanged).to.be.a('function');
         expect(defaults.pressDuration).to.be.a('number');
         expect(defaults.pressMoveThreshold).to.be.a('number');
+        expect(defaults.doubleTapDelay).to.equal(300);
+        expect(defaults.swipeMinDistance).to.equal(30);
+        expect(defaults.swipeMinVelocity).to.equal(0.3);
+        expect(defaults.tapDuration).to.equal(250);
+        expect(defaults.tapMoveThreshold).to.equal(10);
     });
 
     it('decorates child components with props in the touch environment', () => {
@@ -71,11 +122,49 @@ describe('ReactCursorPosition', () => {
                 width: 4,
                 height: 4
             },
+            altKey: false,
+            buttons: 0,
+            ctrlKey: false,
+            isPrimaryButtonDown: false,
+            metaKey: false,
+            shiftKey: false,
+            isDragging: false,
+            dragStartPosition: {
+                x: 0,
+                y: 0
+            },
+            dragDelta: {
+                x: 0,
+                y: 0
+            },
+            dragDistance: 0,
+            activeZones: [],
+            acceleration: 0,
+            centroid: {
+                x: 3,
+                y: 2
+            },
+            direction: {
+                angle: 0,
+                cardinal: ''
+            },
             isActive: true,
             isPositionOutside: false,
             position: {
                 x: 3,
                 y: 2
+            },
+            rotation: 0,
+            scale: 1,
+            speed: 0,
+            touches: [{
+                identifier: 0,
+                x: 3,
+                y: 2
+            }],
+            velocity: {
+                x: 0,
+                y: 0
             }
         });
     });
@@ -98,11 +187,45 @@ describe('ReactCursorPosition', () => {
                     width: 4,
                     height: 4
                 },
+                altKey: false,
+                buttons: 0,
+                ctrlKey: false,
+                isPrimaryButtonDown: false,
+                metaKey: false,
+                shiftKey: false,
+                isDragging: false,
+                dragStartPosition: {
+                    x: 0,
+                    y: 0
+                },
+                dragDelta: {
+                    x: 0,
+                    y: 0
+                },
+                dragDistance: 0,
+                activeZones: [],
+                acceleration: 0,
+                centroid: {
+                    x: 0,
+                    y: 0
+                },
+                direction: {
+                    angle: 0,
+                    cardinal: ''
+                },
                 isActive: true,
                 isPositionOutside: false,
                 position: {
                     x: 1,
                     y: 2
+                },
+                rotation: 0,
+                scale: 1,
+                speed: 0,
+                touches: [],
+                velocity: {
+                    x: 0,
+                    y: 0
                 }
             });
 
@@ -349,7 +472,8 @@ describe('ReactCursorPosition', () => {
 
                     el.simulate('mouseMove', {
                         pageX: 1,
-                        pageY: 1
+                        pageY: 1,
+                        timeStamp: 0
                     });
 
                     deferToHoverIntent(() => {
@@ -362,11 +486,45 @@ describe('ReactCursorPosition', () => {
                                 width: 4,
                                 height: 4
                             },
+                            altKey: false,
+                            buttons: 0,
+                            ctrlKey: false,
+                            isPrimaryButtonDown: false,
+                            metaKey: false,
+                            shiftKey: false,
+                            isDragging: false,
+                            dragStartPosition: {
+                                x: 0,
+                                y: 0
+                            },
+                            dragDelta: {
+                                x: 0,
+                                y: 0
+                            },
+                            dragDistance: 0,
+                            activeZones: [],
+                            acceleration: 0,
+                            centroid: {
+                                x: 0,
+                                y: 0
+                            },
+                            direction: {
+                                angle: 0,
+                                cardinal: ''
+                            },
                             isActive: true,
                             isPositionOutside: false,
                             position: {
                                 x: 1,
                                 y: 1
+                            },
+                            rotation: 0,
+                            scale: 1,
+                            speed: 0,
+                            touches: [],
+                            velocity: {
+                                x: 0,
+                                y: 0
                             }
                         });
                     });
@@ -385,7 +543,8 @@ describe('ReactCursorPosition', () => {
 
                     el.simulate('mouseMove', {
                         pageX: 4,
-                        pageY: 4
+                        pageY: 4,
+                        timeStamp: 0
                     });
 
                     el.simulate('mouseLeave');
@@ -399,11 +558,45 @@ describe('ReactCursorPosition', () => {
                             width: 4,
                             height: 4
                         },
+                        altKey: false,
+                        buttons: 0,
+                        ctrlKey: false,
+                        isPrimaryButtonDown: false,
+                        metaKey: false,
+                        shiftKey: false,
+                        isDragging: false,
+                        dragStartPosition: {
+                            x: 0,
+                            y: 0
+                        },
+                        dragDelta: {
+                            x: 0,
+                            y: 0
+                        },
+                        dragDistance: 0,
+                        activeZones: [],
+                        acceleration: 0,
+                        centroid: {
+                            x: 0,
+                            y: 0
+                        },
+                        direction: {
+                            angle: 0,
+                            cardinal: ''
+                        },
                         isActive: false,
                         isPositionOutside: true,
                         position: {
                             x: 4,
                             y: 4
+                        },
+                        rotation: 0,
+                        scale: 1,
+                        speed: 0,
+                        touches: [],
+                        velocity: {
+                            x: 0,
+                            y: 0
                         }
                     });
                 });
@@ -452,6 +645,246 @@ describe('ReactCursorPosition', () => {
             });
         });
 
+        describe('touches', () => {
+            it('decorates child components with element relative touch points', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 3, pageX: 1, pageY: 1 }]));
+
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 3, pageX: 1, pageY: 1 },
+                    { identifier: 7, pageX: 3, pageY: 3 }
+                ]));
+
+                expect(childComponent.props().touches).to.deep.equal([
+                    { identifier: 3, x: 1, y: 1 },
+                    { identifier: 7, x: 3, y: 3 }
+                ]);
+                expect(childComponent.props().centroid).to.deep.equal({ x: 2, y: 2 });
+            });
+
+            it('keeps tracking the first touch when another touch lands', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 3, pageX: 1, pageY: 1 }]));
+
+                instance.onTouchMove(getMultiTouchEvent([
+                    { identifier: 7, pageX: 3, pageY: 3 },
+                    { identifier: 3, pageX: 2, pageY: 1 }
+                ]));
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 1 });
+            });
+
+            it('remains active until the last touch ends', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 3, pageX: 1, pageY: 1 }]));
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 3, pageX: 1, pageY: 1 },
+                    { identifier: 7, pageX: 3, pageY: 3 }
+                ]));
+
+                instance.onTouchEnd(getMultiTouchEvent([{ identifier: 7, pageX: 3, pageY: 3 }]));
+                expect(childComponent.props().isActive).to.be.true;
+                expect(childComponent.props().touches).to.deep.equal([
+                    { identifier: 7, x: 3, y: 3 }
+                ]);
+
+                instance.onTouchEnd(getMultiTouchEvent([]));
+                expect(childComponent.props().isActive).to.be.false;
+                expect(childComponent.props().touches).to.deep.equal([]);
+            });
+
+            it('decorates child components with two finger scale and rotation', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 0, pageX: 0, pageY: 0 }]));
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 0, pageX: 0, pageY: 0 },
+                    { identifier: 1, pageX: 2, pageY: 0 }
+                ]));
+                expect(childComponent.props().scale).to.equal(1);
+                expect(childComponent.props().rotation).to.equal(0);
+
+                instance.onTouchMove(getMultiTouchEvent([
+                    { identifier: 0, pageX: 0, pageY: 0 },
+                    { identifier: 1, pageX: 0, pageY: 4 }
+                ]));
+
+                expect(childComponent.props().scale).to.equal(2);
+                expect(childComponent.props().rotation).to.equal(90);
+            });
+
+            it('accumulates rotation beyond a half turn', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                const moveSecondTouchTo = (pageX, pageY) => {
+                    instance.onTouchMove(getMultiTouchEvent([
+                        { identifier: 0, pageX: 0, pageY: 0 },
+                        { identifier: 1, pageX, pageY }
+                    ]));
+                };
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 0, pageX: 0, pageY: 0 }]));
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 0, pageX: 0, pageY: 0 },
+                    { identifier: 1, pageX: 2, pageY: 0 }
+                ]));
+
+                moveSecondTouchTo(0, 2);
+                moveSecondTouchTo(-2, 0);
+                moveSecondTouchTo(0, -2);
+
+                expect(childComponent.props().rotation).to.equal(270);
+            });
+
+            it('tracks pinches with default props', () => {
+                const tree = getMountedComponentTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 3, pageX: 0, pageY: 0 }]));
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 3, pageX: 0, pageY: 0 },
+                    { identifier: 7, pageX: 2, pageY: 0 }
+                ]));
+
+                instance.onTouchMove(getMultiTouchEvent([
+                    { identifier: 3, pageX: 0, pageY: 0 },
+                    { identifier: 7, pageX: 4, pageY: 0 }
+                ]));
+
+                expect(childComponent.props().isActive).to.be.false;
+                expect(childComponent.props().touches).to.deep.equal([
+                    { identifier: 3, x: 0, y: 0 },
+                    { identifier: 7, x: 4, y: 0 }
+                ]);
+                expect(childComponent.props().scale).to.equal(2);
+            });
+
+            it('tracks touch pointer pinches with default props', () => {
+                const tree = getMountedComponentTree({ shouldUsePointerEvents: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch', pointerId: 4, pageX: 0, pageY: 0 }));
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch', pointerId: 5, pageX: 2, pageY: 0 }));
+
+                instance.onPointerMove(getPointerEvent({ pointerType: 'touch', pointerId: 5, pageX: 4, pageY: 0 }));
+
+                expect(childComponent.props().isActive).to.be.false;
+                expect(childComponent.props().centroid).to.deep.equal({ x: 2, y: 0 });
+                expect(childComponent.props().scale).to.equal(2);
+            });
+
+            it('tracks touch pointers when shouldUsePointerEvents is set', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldUsePointerEvents: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch', pointerId: 4, pageX: 0, pageY: 0 }));
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch', pointerId: 5, pageX: 2, pageY: 0 }));
+
+                instance.onPointerMove(getPointerEvent({ pointerType: 'touch', pointerId: 5, pageX: 4, pageY: 0 }));
+
+                expect(childComponent.props().touches).to.deep.equal([
+                    { identifier: 4, x: 0, y: 0 },
+                    { identifier: 5, x: 4, y: 0 }
+                ]);
+                expect(childComponent.props().scale).to.equal(2);
+
+                instance.onPointerUp(getPointerEvent({ pointerType: 'touch', pointerId: 4 }));
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onPointerUp(getPointerEvent({ pointerType: 'touch', pointerId: 5 }));
+                expect(childComponent.props().isActive).to.be.false;
+            });
+        });
+
+        describe('motion', () => {
+            it('decorates child components with velocity and speed', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 100 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 3, pageY: 4, timeStamp: 110 }));
+
+                expect(childComponent.props().velocity).to.deep.equal({ x: 0.3, y: 0.4 });
+                expect(childComponent.props().speed).to.equal(0.5);
+            });
+
+            it('decorates child components with acceleration', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 0 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 0, timeStamp: 2 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 8, pageY: 0, timeStamp: 4 }));
+
+                expect(childComponent.props().speed).to.equal(3);
+                expect(childComponent.props().acceleration).to.equal(1);
+            });
+
+            it('decorates child components with direction of movement', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 2, pageY: 2, timeStamp: 0 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 0, timeStamp: 10 }));
+                expect(childComponent.props().direction).to.deep.equal({ angle: -90, cardinal: 'N' });
+
+                instance.onTouchMove(getTouchEvent({ pageX: 0, pageY: 2, timeStamp: 20 }));
+                expect(childComponent.props().direction).to.deep.equal({ angle: 135, cardinal: 'SW' });
+            });
+
+            it('retains direction when the position does not change', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 0 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 0, timeStamp: 10 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 0, timeStamp: 20 }));
+
+                expect(childComponent.props().direction.cardinal).to.equal('E');
+                expect(childComponent.props().speed).to.equal(0);
+            });
+
+            it('folds samples that share a timestamp into the next sample', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 0 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 0, timeStamp: 0 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 4, pageY: 0, timeStamp: 2 }));
+
+                expect(childComponent.props().velocity).to.deep.equal({ x: 2, y: 0 });
+            });
+
+            it('resets motion when a new interaction begins', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 0 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 0, timeStamp: 2 }));
+                instance.onTouchEnd();
+
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0, timeStamp: 100 }));
+
+                expect(childComponent.props().speed).to.equal(0);
+                expect(childComponent.props().direction).to.deep.equal({ angle: 0, cardinal: '' });
+            });
+        });
+
         describe('detectedEnvironment', () => {
             describe('Touch Environment', () => {
                 it('sets isTouchDetected', () => {
@@ -483,6 +916,78 @@ describe('ReactCursorPosition', () => {
                 });
             });
         });
+
+        describe('buttons and modifier keys', () => {
+            function dispatchKeyEvent(type, init) {
+                window.dispatchEvent(new window.KeyboardEvent(type, init));
+            }
+
+            it('sets buttons and isPrimaryButtonDown on mouse down and up', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onMouseDown(objectAssign(getMouseEvent(), { buttons: 1 }));
+                expect(childComponent.props().buttons).to.equal(1);
+                expect(childComponent.props().isPrimaryButtonDown).to.be.true;
+
+                instance.onMouseUp(objectAssign(getMouseEvent(), { buttons: 0 }));
+                expect(childComponent.props().buttons).to.equal(0);
+                expect(childComponent.props().isPrimaryButtonDown).to.be.false;
+            });
+
+            it('does not set isPrimaryButtonDown for other buttons', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onMouseDown(objectAssign(getMouseEvent({ button: 2 }), { buttons: 2 }));
+
+                expect(tree.find(GenericSpanComponent).props().buttons).to.equal(2);
+                expect(tree.find(GenericSpanComponent).props().isPrimaryButtonDown).to.be.false;
+            });
+
+            it('sets modifier keys from mouse events', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+
+                instance.onMouseEnter(objectAssign(getMouseEvent(), { altKey: true, shiftKey: true }));
+
+                expect(tree.find(GenericSpanComponent).props()).to.include({
+                    altKey: true,
+                    ctrlKey: false,
+                    metaKey: false,
+                    shiftKey: true
+                });
+            });
+
+            it('sets modifier keys on key down and up while active', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                tree.instance().onTouchStart(touchEvent);
+
+                dispatchKeyEvent('keydown', { key: 'Shift', shiftKey: true });
+                expect(childComponent.props().shiftKey).to.be.true;
+
+                dispatchKeyEvent('keyup', { key: 'Shift', shiftKey: false });
+                expect(childComponent.props().shiftKey).to.be.false;
+
+                tree.unmount();
+            });
+
+            it('does not set modifier keys on key down while inactive', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(touchEvent);
+                instance.onTouchEnd(getMultiTouchEvent([]));
+
+                dispatchKeyEvent('keydown', { key: 'Meta', metaKey: true });
+
+                expect(childComponent.props().metaKey).to.be.false;
+            });
+        });
     });
 
     describe('Props API', () => {
@@ -558,10 +1063,48 @@ describe('ReactCursorPosition', () => {
                     width: 4,
                     height: 4
                 },
+                altKey: false,
+                buttons: 0,
+                ctrlKey: false,
+                isPrimaryButtonDown: false,
+                metaKey: false,
+                shiftKey: false,
+                isDragging: true,
+                dragStartPosition: {
+                    x: 1,
+                    y: 2
+                },
+                dragDelta: {
+                    x: 1,
+                    y: 1
+                },
+                dragDistance: Math.SQRT2,
+                activeZones: [],
+                acceleration: 0,
+                centroid: {
+                    x: 2,
+                    y: 3
+                },
+                direction: {
+                    angle: 0,
+                    cardinal: ''
+                },
                 isPositionOutside: false,
                 position: {
                     x: 2,
                     y: 3
+                },
+                rotation: 0,
+                scale: 1,
+                speed: 0,
+                touches: [{
+                    identifier: 0,
+                    x: 2,
+                    y: 3
+                }],
+                velocity: {
+                    x: 0,
+                    y: 0
                 }
             });
         });
@@ -592,6 +1135,150 @@ describe('ReactCursorPosition', () => {
             expect(childComponent.props()).to.be.empty;
         });
 
+        describe('Support for function as child', () => {
+            it('renders the elements returned by the function', () => {
+                const tree = mount(
+                    <ReactCursorPosition>
+                        {() => <hr className="foo" />}
+                    </ReactCursorPosition>
+                );
+
+                expect(tree.find('hr').hasClass('foo')).to.be.true;
+            });
+
+            it('calls the function with mapped child props and passthrough props', () => {
+                const tree = mount(
+                    <ReactCursorPosition
+                        bar="bar"
+                        isActivatedOnTouch
+                        mapChildProps={({ isActive, position }) => ({ isOperative: isActive, point: position })}
+                    >
+                        {({ bar, isOperative, point }) => (
+                            <div className={isOperative ? 'active' : 'inactive'}>
+                                {`${bar} ${point.x},${point.y}`}
+                            </div>
+                        )}
+                    </ReactCursorPosition>
+                );
+                const instance = tree.instance();
+                instance.el.getBoundingClientRect = () => ({ top: 0, left: 0, width: 4, height: 4 });
+
+                instance.onTouchStart(getTouchEvent({ pageX: 3, pageY: 2 }));
+
+                const el = tree.find('.active');
+                expect(el.length).to.equal(1);
+                expect(el.text()).to.equal('bar 3,2');
+            });
+
+            it('calls the function when shouldDecorateChildren is unset', () => {
+                const tree = mount(
+                    <ReactCursorPosition shouldDecorateChildren={false}>
+                        {({ isActive }) => <hr className={String(isActive)} />}
+                    </ReactCursorPosition>
+                );
+
+                expect(tree.find('hr').hasClass('false')).to.be.true;
+            });
+        });
+
+        describe('Support for CursorPositionConsumer', () => {
+            class BlockingComponent extends React.Component {
+                shouldComponentUpdate() {
+                    return false;
+                }
+
+                render() {
+                    return <div>{this.props.children}</div>;
+                }
+            }
+
+            function getTreeWithConsumer(props = {}) {
+                const tree = mount(
+                    <ReactCursorPosition { ...props }>
+                        <BlockingComponent>
+                            <BlockingComponent>
+                                <CursorPositionConsumer>
+                                    {({ isActive, position }) => (
+                                        <hr className={isActive ? 'active' : 'inactive'} title={`${position.x},${position.y}`} />
+                                    )}
+                                </CursorPositionConsumer>
+                            </BlockingComponent>
+                        </BlockingComponent>
+                    </ReactCursorPosition>
+                );
+                tree.instance().el.getBoundingClientRect = () => ({ top: 0, left: 0, width: 4, height: 4 });
+                return tree;
+            }
+
+            it('provides state to deeply nested consumers', () => {
+                const tree = getTreeWithConsumer();
+
+                expect(tree.find('hr').hasClass('inactive')).to.be.true;
+                expect(tree.find('hr').prop('title')).to.equal('0,0');
+            });
+
+            it('updates consumers through components that block rendering', () => {
+                const tree = getTreeWithConsumer({ isActivatedOnTouch: true });
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 3, pageY: 2 }));
+
+                expect(tree.find('hr').hasClass('active')).to.be.true;
+                expect(tree.find('hr').prop('title')).to.equal('3,2');
+            });
+
+            it('renders consumers and maps state once per update', () => {
+                const mapChildProps = sinon.spy(props => props);
+                const renderConsumer = sinon.spy(() => <hr />);
+                const tree = mount(
+                    <ReactCursorPosition mapChildProps={ mapChildProps }>
+                        <div>
+                            <CursorPositionConsumer>{ renderConsumer }</CursorPositionConsumer>
+                        </div>
+                    </ReactCursorPosition>
+                );
+                tree.instance().el.getBoundingClientRect = () => ({ top: 0, left: 0, width: 4, height: 4 });
+                tree.instance().onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+                mapChildProps.reset();
+                renderConsumer.reset();
+
+                tree.instance().onMouseMove(getMouseEvent({ pageX: 2, pageY: 3 }));
+
+                expect(mapChildProps.calledOnce).to.be.true;
+                expect(renderConsumer.calledOnce).to.be.true;
+                expect(renderConsumer.args[0][0].position).to.deep.equal({ x: 2, y: 3 });
+            });
+
+            it('provides state shaped by mapChildProps', () => {
+                const tree = getTreeWithConsumer({
+                    mapChildProps: ({ position }) => ({ isActive: true, position })
+                });
+
+                expect(tree.find('hr').hasClass('active')).to.be.true;
+            });
+
+            it('unsubscribes consumers on unmount', () => {
+                const tree = getTreeWithConsumer();
+                const instance = tree.instance();
+                expect(instance.contextSubscribers.length).to.equal(1);
+
+                tree.unmount();
+
+                expect(instance.contextSubscribers.length).to.equal(0);
+            });
+
+            it('renders nothing outside of ReactCursorPosition', () => {
+                const tree = mount(
+                    <div>
+                        <CursorPositionConsumer>
+                            {() => <hr />}
+                        </CursorPositionConsumer>
+                    </div>
+                );
+
+                expect(tree.find('hr').length).to.equal(0);
+            });
+        });
+
         describe('Support for pressDuration', () => {
             it('sets isActive if pressThreshold is not exceeded for duration', () => {
                 const clock = sinon.useFakeTimers();
@@ -644,40 +1331,2219 @@ describe('ReactCursorPosition', () => {
             });
         });
 
-        describe('Support for onDetectedEnvironmentChanged', () => {
-            describe('Touch Environment', () => {
-                it('gets called with isTouchDetected set', () => {
-                    const spy = sinon.spy();
-                    const mountedComponent = getMountedComponentTree({
-                        onDetectedEnvironmentChanged: spy
-                    });
-
-                    mountedComponent.instance().onTouchStart(getTouchEvent());
+        describe('Support for shouldUsePointerEvents', () => {
+            it('binds pointer event listeners in place of touch event listeners', () => {
+                const tree = getMountedComponentTree({ shouldUsePointerEvents: true });
 
-                    expect(spy.calledOnce).to.be.true;
-                });
+                expect(tree.instance().eventListeners.length).to.equal(7);
             });
 
-            describe('Mouse Environment', () => {
-                it('sets isMouseDetected to true', () => {
-                    const spy = sinon.spy();
-                    const mountedComponent = getMountedComponentTree({
-                        onDetectedEnvironmentChanged: spy
-                    });
+            it('does not bind mouse event handlers', () => {
+                const tree = getMountedComponentTree({ shouldUsePointerEvents: true });
 
-                    mountedComponent.instance().onMouseEnter(getMouseEvent());
+                expect(tree.find('div').props().onMouseEnter).to.be.undefined;
+            });
 
-                    expect(spy.calledOnce).to.be.true;
+            it('decorates child components with pen input state', (done) => {
+                const tree = getMountedComponentTree({ shouldUsePointerEvents: true });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+
+                instance.onPointerEnter(getPointerEvent({ pointerType: 'pen' }));
+                instance.onPointerMove(getPointerEvent({
+                    pointerType: 'pen',
+                    pageX: 3,
+                    pageY: 4,
+                    pressure: 0.75,
+                    tiltX: 20,
+                    tiltY: -10,
+                    twist: 90
+                }));
+
+                deferToHoverIntent(() => {
+                    expect(childComponent.props()).to.deep.equal({
+                        detectedEnvironment: {
+                            isMouseDetected: true,
+                            isTouchDetected: false
+                        },
+                        elementDimensions: {
+                            width: 4,
+                            height: 4
+                        },
+                        altKey: false,
+                        buttons: 0,
+                        ctrlKey: false,
+                        isPrimaryButtonDown: false,
+                        metaKey: false,
+                        shiftKey: false,
+                        isDragging: false,
+                        dragStartPosition: {
+                            x: 0,
+                            y: 0
+                        },
+                        dragDelta: {
+                            x: 0,
+                            y: 0
+                        },
+                        dragDistance: 0,
+                        activeZones: [],
+                        acceleration: 0,
+                        centroid: {
+                            x: 0,
+                            y: 0
+                        },
+                        direction: {
+                            angle: 0,
+                            cardinal: ''
+                        },
+                        isActive: true,
+                        isPositionOutside: false,
+                        pointerType: 'pen',
+                        position: {
+                            x: 3,
+                            y: 4
+                        },
+                        pressure: 0.75,
+                        rotation: 0,
+                        scale: 1,
+                        speed: 0,
+                        tiltX: 20,
+                        tiltY: -10,
+                        touches: [],
+                        twist: 90,
+                        velocity: {
+                            x: 0,
+                            y: 0
+                        }
+                    });
+                    done();
                 });
             });
-        })
-    });
 
-    describe('clearTimers', () => {
-        it('drains the timers array', () => {
-            const instance = positionObserver.instance();
-            instance.timers.push({
-                name: 'test',
+            it('treats touch pointers as touch interaction', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldUsePointerEvents: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+
+                instance.onPointerEnter(getPointerEvent({ pointerType: 'touch' }));
+                expect(childComponent.props().isActive).to.be.false;
+
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch' }));
+                expect(childComponent.props().isActive).to.be.true;
+                expect(childComponent.props().detectedEnvironment.isTouchDetected).to.be.true;
+
+                instance.onPointerMove(getPointerEvent({ pointerType: 'touch', pageX: 2, pageY: 3 }));
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+
+                instance.onPointerUp(getPointerEvent({ pointerType: 'touch' }));
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('deactivates on touch pointercancel', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldUsePointerEvents: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch' }));
+
+                instance.onPointerCancel(getPointerEvent({ pointerType: 'touch' }));
+
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('prevents touch scrolling while active', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldUsePointerEvents: true
+                });
+                const instance = tree.instance();
+                const preventDefault = sinon.spy();
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch' }));
+
+                instance.onTouchMoveWhilePointerActive({ preventDefault });
+
+                expect(preventDefault.calledOnce).to.be.true;
+            });
+        });
+
+        describe('Support for positionOutputs', () => {
+            function getChildPropsAt(positionOutputs, { pageX, pageY }) {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true, positionOutputs });
+                tree.instance().onTouchStart(getTouchEvent({ pageX, pageY }));
+                return tree.find(GenericSpanComponent).props();
+            }
+
+            it('does not add position outputs by default', () => {
+                const props = getChildPropsAt(undefined, { pageX: 1, pageY: 3 });
+
+                expect(props).to.not.have.any.keys(
+                    'normalizedPosition',
+                    'percentPosition',
+                    'centeredPosition',
+                    'clampedPosition'
+                );
+            });
+
+            it('decorates child components with normalizedPosition', () => {
+                const props = getChildPropsAt(['normalized'], { pageX: 1, pageY: 3 });
+
+                expect(props.normalizedPosition).to.deep.equal({ x: 0.25, y: 0.75 });
+                expect(props).to.not.have.property('percentPosition');
+            });
+
+            it('decorates child components with percentPosition', () => {
+                const props = getChildPropsAt(['percent'], { pageX: 1, pageY: 3 });
+
+                expect(props.percentPosition).to.deep.equal({ x: 25, y: 75 });
+            });
+
+            it('decorates child components with centeredPosition', () => {
+                const props = getChildPropsAt(['centered'], { pageX: 1, pageY: 3 });
+
+                expect(props.centeredPosition).to.deep.equal({ x: -1, y: 1 });
+            });
+
+            it('decorates child components with clampedPosition', () => {
+                const props = getChildPropsAt(['clamped'], { pageX: 6, pageY: -1 });
+
+                expect(props.position).to.deep.equal({ x: 6, y: -1 });
+                expect(props.clampedPosition).to.deep.equal({ x: 4, y: 0 });
+            });
+
+            it('decorates child components with several outputs', () => {
+                const props = getChildPropsAt(['normalized', 'clamped'], { pageX: 2, pageY: 2 });
+
+                expect(props.normalizedPosition).to.deep.equal({ x: 0.5, y: 0.5 });
+                expect(props.clampedPosition).to.deep.equal({ x: 2, y: 2 });
+            });
+
+            it('provides zero ratios before the element is measured', () => {
+                const tree = getMountedComponentTree({ positionOutputs: ['normalized'] });
+
+                expect(tree.find(GenericSpanComponent).props().normalizedPosition).to.deep.equal({ x: 0, y: 0 });
+            });
+
+            it('passes position outputs to onPositionChanged', () => {
+                const spy = sinon.spy();
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    onPositionChanged: spy,
+                    positionOutputs: ['percent']
+                });
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 2, pageY: 1 }));
+
+                expect(spy.args[0][0].percentPosition).to.deep.equal({ x: 50, y: 25 });
+            });
+        });
+
+        describe('Support for shouldInvertTransforms', () => {
+            let getComputedStyle;
+
+            beforeEach(() => {
+                getComputedStyle = window.getComputedStyle;
+            });
+
+            afterEach(() => {
+                window.getComputedStyle = getComputedStyle;
+            });
+
+            function getTransformedTree({ transforms, rect, width, height }) {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldInvertTransforms: true
+                });
+                const { el } = tree.instance();
+                const transformedNodes = [el, el.parentElement];
+                window.getComputedStyle = (node) => ({
+                    transform: transforms[transformedNodes.indexOf(node)] || 'none'
+                });
+                el.getBoundingClientRect = () => rect;
+                Object.defineProperty(el, 'offsetWidth', { value: width });
+                Object.defineProperty(el, 'offsetHeight', { value: height });
+                return tree;
+            }
+
+            it('reports position in the untransformed space of a scaled ancestor', () => {
+                const tree = getTransformedTree({
+                    transforms: [null, 'matrix(2, 0, 0, 2, 0, 0)'],
+                    rect: { top: 0, left: 0, width: 8, height: 8 },
+                    width: 4,
+                    height: 4
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 4, pageY: 6 }));
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+                expect(childComponent.props().elementDimensions).to.deep.equal({ width: 4, height: 4 });
+                expect(childComponent.props().isPositionOutside).to.be.false;
+            });
+
+            it('reports position in the untransformed space of a rotated element', () => {
+                const tree = getTransformedTree({
+                    transforms: ['matrix(0, 1, -1, 0, 0, 0)'],
+                    rect: { top: 10, left: 10, width: 2, height: 4 },
+                    width: 4,
+                    height: 2
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 11, pageY: 13 }));
+
+                expect(childComponent.props().position).to.deep.equal({ x: 3, y: 1 });
+                expect(childComponent.props().isPositionOutside).to.be.false;
+            });
+
+            it('sets isPositionOutside in the untransformed space', () => {
+                const tree = getTransformedTree({
+                    transforms: ['matrix3d(1, 0, 0, 0, 1, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1)'],
+                    rect: { top: 0, left: 0, width: 8, height: 4 },
+                    width: 4,
+                    height: 4
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 7, pageY: 1 }));
+
+                expect(childComponent.props().position).to.deep.equal({ x: 6, y: 1 });
+                expect(childComponent.props().isPositionOutside).to.be.true;
+            });
+        });
+
+        describe('Support for isKeyboardNavigable', () => {
+            function getKeyboardTree(props = {}) {
+                const tree = getMountedComponentTree(objectAssign({ isKeyboardNavigable: true }, props));
+                const el = tree.find('div');
+                const pressKey = (key, eventData = {}) => {
+                    el.simulate('keyDown', objectAssign({ key, timeStamp: 0 }, eventData));
+                };
+                return { tree, el, pressKey };
+            }
+
+            it('is not focusable by default', () => {
+                const tree = getMountedComponentTree();
+
+                expect(tree.find('div').props().tabIndex).to.be.undefined;
+            });
+
+            it('is focusable', () => {
+                const { el } = getKeyboardTree();
+
+                expect(el.props().tabIndex).to.equal(0);
+            });
+
+            it('has a role and an accessible label', () => {
+                expect(getKeyboardTree().el.props()).to.include({
+                    'aria-label': 'Cursor area',
+                    role: 'application'
+                });
+                expect(getKeyboardTree({ keyboardLabel: 'Product image', keyboardRole: 'img' }).el.props()).to.include({
+                    'aria-label': 'Product image',
+                    role: 'img'
+                });
+            });
+
+            it('activates on Enter with the virtual cursor at the center of the element', () => {
+                const onActivationChanged = sinon.spy();
+                const { tree, pressKey } = getKeyboardTree({ onActivationChanged });
+                const childComponent = tree.find(GenericSpanComponent);
+
+                pressKey('Enter');
+
+                expect(childComponent.props().isActive).to.be.true;
+                expect(childComponent.props().isPositionOutside).to.be.false;
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 2 });
+                expect(onActivationChanged.args[0][0]).to.deep.equal({ isActive: true });
+            });
+
+            it('moves the virtual cursor with arrow keys', () => {
+                const onPositionChanged = sinon.spy();
+                const { tree, pressKey } = getKeyboardTree({ onPositionChanged });
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                pressKey('ArrowLeft');
+                pressKey('ArrowUp');
+                pressKey('ArrowUp');
+                pressKey('ArrowRight');
+                pressKey('ArrowRight');
+                pressKey('ArrowDown');
+
+                expect(childComponent.props().position).to.deep.equal({ x: 3, y: 1 });
+                expect(onPositionChanged.callCount).to.equal(7);
+            });
+
+            it('moves the virtual cursor by keyboardStep', () => {
+                const { tree, pressKey } = getKeyboardTree({ keyboardStep: 2 });
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                pressKey('ArrowRight');
+
+                expect(childComponent.props().position).to.deep.equal({ x: 4, y: 2 });
+            });
+
+            it('moves the virtual cursor by keyboardLargeStep while shift is held', () => {
+                const { tree, pressKey } = getKeyboardTree({ keyboardLargeStep: 2 });
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                pressKey('ArrowDown', { shiftKey: true });
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 4 });
+            });
+
+            it('keeps the virtual cursor inside the element', () => {
+                const { tree, pressKey } = getKeyboardTree({ keyboardLargeStep: 100 });
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                pressKey('ArrowLeft', { shiftKey: true });
+
+                expect(childComponent.props().position).to.deep.equal({ x: 0, y: 2 });
+                expect(childComponent.props().isPositionOutside).to.be.false;
+            });
+
+            it('prevents page scrolling with arrow keys while active', () => {
+                const { pressKey } = getKeyboardTree();
+                const preventDefault = sinon.spy();
+                pressKey('Enter');
+
+                pressKey('ArrowDown', { preventDefault });
+
+                expect(preventDefault.calledOnce).to.be.true;
+            });
+
+            it('ignores arrow keys while inactive', () => {
+                const { tree, pressKey } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const preventDefault = sinon.spy();
+
+                pressKey('ArrowDown', { preventDefault });
+
+                expect(preventDefault.called).to.be.false;
+                expect(childComponent.props().position).to.deep.equal({ x: 0, y: 0 });
+            });
+
+            it('deactivates on Escape', () => {
+                const { tree, pressKey } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                pressKey('Escape');
+
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('deactivates on blur', () => {
+                const { tree, el, pressKey } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                el.simulate('blur');
+
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('ignores keys pressed in descendants', () => {
+                const { tree } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const preventDefault = sinon.spy();
+
+                tree.find('span').simulate('keyDown', { key: 'Enter', preventDefault });
+
+                expect(preventDefault.called).to.be.false;
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('leaves arrow keys in descendants alone while active', () => {
+                const { tree, pressKey } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const preventDefault = sinon.spy();
+                pressKey('Enter');
+
+                tree.find('span').simulate('keyDown', { key: 'ArrowRight', preventDefault });
+
+                expect(preventDefault.called).to.be.false;
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 2 });
+            });
+
+            it('does not deactivate when a descendant loses focus', () => {
+                const { tree, pressKey } = getKeyboardTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                pressKey('Enter');
+
+                tree.find('span').simulate('blur');
+
+                expect(childComponent.props().isActive).to.be.true;
+            });
+        });
+
+        describe('Support for shouldBatchPositionUpdates', () => {
+            let frameCallbacks;
+
+            beforeEach(() => {
+                frameCallbacks = [];
+                window.requestAnimationFrame = sinon.spy((callback) => frameCallbacks.push(callback));
+                window.cancelAnimationFrame = sinon.spy();
+            });
+
+            afterEach(() => {
+                delete window.requestAnimationFrame;
+                delete window.cancelAnimationFrame;
+            });
+
+            function runAnimationFrame() {
+                const callbacks = frameCallbacks;
+                frameCallbacks = [];
+                callbacks.forEach(callback => callback());
+            }
+
+            function getBatchedTree(props = {}) {
+                const tree = getMountedComponentTree(objectAssign({ shouldBatchPositionUpdates: true }, props));
+                tree.instance().onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                return tree;
+            }
+
+            it('commits at most one position update per animation frame', () => {
+                const onPositionChanged = sinon.spy();
+                const tree = getBatchedTree({ onPositionChanged });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                onPositionChanged.reset();
+
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 1, timeStamp: 10 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 1, timeStamp: 20 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 2, timeStamp: 30 }));
+
+                expect(window.requestAnimationFrame.calledOnce).to.be.true;
+                expect(childComponent.props().position).to.deep.equal({ x: 0, y: 0 });
+                expect(onPositionChanged.called).to.be.false;
+
+                runAnimationFrame();
+
+                expect(childComponent.props().position).to.deep.equal({ x: 3, y: 2 });
+                expect(onPositionChanged.calledOnce).to.be.true;
+            });
+
+            it('calls onPositionSamples with every sample in the frame', () => {
+                const onPositionSamples = sinon.spy();
+                const instance = getBatchedTree({ onPositionSamples }).instance();
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 1, timeStamp: 10 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 5, pageY: 1, timeStamp: 20 }));
+
+                runAnimationFrame();
+
+                expect(onPositionSamples.args[0][0]).to.deep.equal([
+                    { isPositionOutside: false, position: { x: 1, y: 1 }, timestamp: 10 },
+                    { isPositionOutside: true, position: { x: 5, y: 1 }, timestamp: 20 }
+                ]);
+            });
+
+            it('batches touch moves', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldBatchPositionUpdates: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 1, timeStamp: 10 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 3, timeStamp: 20 }));
+                expect(childComponent.props().touches).to.deep.equal([{ identifier: 0, x: 0, y: 0 }]);
+
+                runAnimationFrame();
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+                expect(childComponent.props().touches).to.deep.equal([{ identifier: 0, x: 2, y: 3 }]);
+            });
+
+            it('commits pointer state with the position once per animation frame', () => {
+                const tree = getMountedComponentTree({
+                    shouldBatchPositionUpdates: true,
+                    shouldUsePointerEvents: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onPointerEnter(getPointerEvent({ pointerType: 'pen', pageX: 0, pageY: 0 }));
+                const render = sinon.spy(childComponent.node, 'render');
+
+                instance.onPointerMove(getPointerEvent({ pointerType: 'pen', pageX: 1, pageY: 1, pressure: 0.2, timeStamp: 10 }));
+                instance.onPointerMove(getPointerEvent({ pointerType: 'pen', pageX: 2, pageY: 3, pressure: 0.6, timeStamp: 20 }));
+                expect(render.called).to.be.false;
+                expect(childComponent.props().pressure).to.equal(0);
+
+                runAnimationFrame();
+
+                expect(render.calledOnce).to.be.true;
+                expect(childComponent.props()).to.include({ pointerType: 'pen', pressure: 0.6 });
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+            });
+
+            it('commits drag state with the position once per animation frame', () => {
+                const onDrag = sinon.spy();
+                const tree = getBatchedTree({ onDrag });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+                const render = sinon.spy(childComponent.node, 'render');
+
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 0, timeStamp: 10 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 2, timeStamp: 20 }));
+                expect(render.called).to.be.false;
+                expect(onDrag.called).to.be.false;
+
+                runAnimationFrame();
+
+                const props = childComponent.props();
+                expect(render.calledOnce).to.be.true;
+                expect(props.position).to.deep.equal({ x: 3, y: 2 });
+                expect(props.dragDelta).to.deep.equal({ x: 3, y: 2 });
+                expect(props.isDragging).to.be.true;
+                expect(onDrag.calledOnce).to.be.true;
+                expect(onDrag.args[0][0].position).to.deep.equal({ x: 3, y: 2 });
+            });
+
+            it('commits touch drag state with the position once per animation frame', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldBatchPositionUpdates: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+                const render = sinon.spy(childComponent.node, 'render');
+
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 1, timeStamp: 10 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 3, timeStamp: 20 }));
+                expect(render.called).to.be.false;
+
+                runAnimationFrame();
+
+                expect(render.calledOnce).to.be.true;
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+                expect(childComponent.props().dragDelta).to.deep.equal({ x: 2, y: 3 });
+            });
+
+            it('commits pending drag samples before the drag ends', () => {
+                const onDragEnd = sinon.spy();
+                const tree = getBatchedTree({ onDragEnd });
+                const instance = tree.instance();
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 1, timeStamp: 10 }));
+
+                instance.onMouseUp(getMouseEvent({ pageX: 2, pageY: 1 }));
+
+                expect(onDragEnd.calledOnce).to.be.true;
+                expect(onDragEnd.args[0][0].dragDelta).to.deep.equal({ x: 2, y: 1 });
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 2, y: 1 });
+            });
+
+            it('commits pending samples when the interaction ends', () => {
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    shouldBatchPositionUpdates: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 2, pageY: 3, timeStamp: 10 }));
+
+                instance.onTouchEnd();
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+                expect(window.cancelAnimationFrame.calledOnce).to.be.true;
+            });
+
+            it('commits pending samples on mouse leave', () => {
+                const tree = getBatchedTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 3, timeStamp: 10 }));
+
+                instance.onMouseLeave();
+
+                expect(childComponent.props().position).to.deep.equal({ x: 2, y: 3 });
+            });
+
+            it('cancels the pending animation frame on unmount', () => {
+                const tree = getBatchedTree();
+                tree.instance().onMouseMove(getMouseEvent({ pageX: 2, pageY: 3, timeStamp: 10 }));
+
+                tree.unmount();
+
+                expect(window.cancelAnimationFrame.calledOnce).to.be.true;
+            });
+        });
+
+        describe('Layout changes during interaction', () => {
+            beforeEach(() => {
+                window.requestAnimationFrame = (callback) => {
+                    callback();
+                    return 1;
+                };
+            });
+
+            afterEach(() => {
+                delete window.requestAnimationFrame;
+                delete window.ResizeObserver;
+            });
+
+            function moveElement(instance, { top = 0, left = 0, width = 4, height = 4 }) {
+                instance.el.getBoundingClientRect = () => ({ top, left, width, height });
+            }
+
+            function getActiveTouchTree(props = {}) {
+                const tree = getMountedComponentTree(objectAssign({ isActivatedOnTouch: true }, props));
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 1, pageY: 2 }));
+                return tree;
+            }
+
+            it('re-measures the element and corrects position on scroll', () => {
+                const tree = getActiveTouchTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                moveElement(tree.instance(), { top: -2 });
+
+                window.dispatchEvent(new window.Event('scroll'));
+
+                expect(childComponent.props().position).to.deep.equal({ x: 1, y: 4 });
+                expect(childComponent.props().isPositionOutside).to.be.false;
+            });
+
+            it('re-measures the element and corrects position on window resize', () => {
+                const tree = getActiveTouchTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const onPositionChanged = sinon.spy();
+                tree.setProps({ onPositionChanged });
+                moveElement(tree.instance(), { left: 2, width: 8 });
+
+                window.dispatchEvent(new window.Event('resize'));
+
+                expect(childComponent.props().elementDimensions).to.deep.equal({ width: 8, height: 4 });
+                expect(childComponent.props().position).to.deep.equal({ x: -1, y: 2 });
+                expect(childComponent.props().isPositionOutside).to.be.true;
+                expect(onPositionChanged.calledOnce).to.be.true;
+            });
+
+            it('re-measures the element when a ResizeObserver reports a change', () => {
+                let resizeCallback;
+                const observe = sinon.spy();
+                const disconnect = sinon.spy();
+                window.ResizeObserver = function (callback) {
+                    resizeCallback = callback;
+                    this.observe = observe;
+                    this.disconnect = disconnect;
+                };
+                const tree = getActiveTouchTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                expect(observe.calledWith(instance.el)).to.be.true;
+                moveElement(instance, { width: 2, height: 2 });
+
+                resizeCallback();
+
+                expect(childComponent.props().elementDimensions).to.deep.equal({ width: 2, height: 2 });
+                expect(childComponent.props().isPositionOutside).to.be.false;
+
+                instance.onTouchEnd();
+                expect(disconnect.calledOnce).to.be.true;
+            });
+
+            it('stops listening for layout changes on deactivation', () => {
+                const tree = getActiveTouchTree();
+                const instance = tree.instance();
+                expect(instance.layoutListeners.length).to.equal(2);
+
+                instance.onTouchEnd();
+
+                expect(instance.layoutListeners.length).to.equal(0);
+            });
+
+            it('stops listening for layout changes on unmount', () => {
+                const tree = getActiveTouchTree();
+                const instance = tree.instance();
+
+                tree.unmount();
+
+                expect(instance.layoutListeners.length).to.equal(0);
+            });
+        });
+
+        describe('Support for gestures', () => {
+            function press(instance, { pageX = 1, pageY = 2, timeStamp = 0 } = {}) {
+                instance.onTouchStart(getTouchEvent({ pageX, pageY, timeStamp }));
+            }
+
+            function release(instance, timeStamp) {
+                instance.onTouchEnd(getMultiTouchEvent([], timeStamp));
+            }
+
+            it('calls onTap with element relative position', () => {
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onTap }).instance();
+                press(instance, { pageX: 1, pageY: 2, timeStamp: 0 });
+
+                release(instance, 100);
+
+                expect(onTap.calledOnce).to.be.true;
+                expect(onTap.args[0][0]).to.deep.equal({ position: { x: 1, y: 2 } });
+            });
+
+            it('does not call onTap when tapDuration is exceeded', () => {
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onTap, tapDuration: 50 }).instance();
+                press(instance, { timeStamp: 0 });
+
+                release(instance, 51);
+
+                expect(onTap.called).to.be.false;
+            });
+
+            it('does not call onTap when tapMoveThreshold is exceeded', () => {
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onTap, tapMoveThreshold: 2 }).instance();
+                press(instance, { pageX: 0, pageY: 0, timeStamp: 0 });
+
+                instance.onTouchMove(getTouchEvent({ pageX: 3, pageY: 0, timeStamp: 10 }));
+                release(instance, 20);
+
+                expect(onTap.called).to.be.false;
+            });
+
+            it('calls onDoubleTap when a second tap follows within doubleTapDelay', () => {
+                const onDoubleTap = sinon.spy();
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onDoubleTap, onTap }).instance();
+                press(instance, { timeStamp: 0 });
+                release(instance, 50);
+
+                press(instance, { timeStamp: 200 });
+                release(instance, 250);
+
+                expect(onTap.calledTwice).to.be.true;
+                expect(onDoubleTap.calledOnce).to.be.true;
+                expect(onDoubleTap.args[0][0]).to.deep.equal({ position: { x: 1, y: 2 } });
+            });
+
+            it('does not call onDoubleTap when doubleTapDelay elapses between taps', () => {
+                const onDoubleTap = sinon.spy();
+                const instance = getMountedComponentTree({ onDoubleTap, doubleTapDelay: 100 }).instance();
+                press(instance, { timeStamp: 0 });
+                release(instance, 50);
+
+                press(instance, { timeStamp: 151 });
+                release(instance, 200);
+
+                expect(onDoubleTap.called).to.be.false;
+            });
+
+            it('calls onLongPress after pressDuration', () => {
+                const clock = sinon.useFakeTimers();
+                const onLongPress = sinon.spy();
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    onLongPress,
+                    onTap,
+                    pressDuration: 100,
+                    tapDuration: 1000
+                }).instance();
+                press(instance, { timeStamp: 0 });
+
+                clock.tick(101);
+                release(instance, 150);
+
+                expect(onLongPress.calledOnce).to.be.true;
+                expect(onLongPress.args[0][0]).to.deep.equal({ position: { x: 1, y: 2 } });
+                expect(onTap.called).to.be.false;
+                clock.restore();
+            });
+
+            it('does not call onLongPress when pressMoveThreshold is exceeded horizontally', () => {
+                const clock = sinon.useFakeTimers();
+                const onLongPress = sinon.spy();
+                const instance = getMountedComponentTree({
+                    onLongPress,
+                    pressDuration: 100
+                }).instance();
+                press(instance, { pageX: 0, pageY: 0, timeStamp: 0 });
+
+                instance.onTouchMove(getTouchEvent({ pageX: 10, pageY: 0, timeStamp: 10 }));
+                clock.tick(101);
+
+                expect(onLongPress.called).to.be.false;
+                clock.restore();
+            });
+
+            it('calls onSwipe with direction and velocity', () => {
+                const onSwipe = sinon.spy();
+                const instance = getMountedComponentTree({ onSwipe }).instance();
+                press(instance, { pageX: 100, pageY: 10, timeStamp: 0 });
+
+                instance.onTouchMove(getTouchEvent({ pageX: 40, pageY: 20, timeStamp: 50 }));
+                release(instance, 100);
+
+                expect(onSwipe.calledOnce).to.be.true;
+                const swipe = onSwipe.args[0][0];
+                expect(swipe.direction).to.equal('left');
+                expect(swipe.velocity).to.deep.equal({ x: -0.6, y: 0.1 });
+                expect(swipe.startPosition).to.deep.equal({ x: 100, y: 10 });
+                expect(swipe.position).to.deep.equal({ x: 40, y: 20 });
+            });
+
+            it('does not call onSwipe below swipeMinVelocity', () => {
+                const onSwipe = sinon.spy();
+                const instance = getMountedComponentTree({ onSwipe, swipeMinVelocity: 1 }).instance();
+                press(instance, { pageX: 0, pageY: 0, timeStamp: 0 });
+
+                instance.onTouchMove(getTouchEvent({ pageX: 0, pageY: 60, timeStamp: 50 }));
+                release(instance, 100);
+
+                expect(onSwipe.called).to.be.false;
+            });
+
+            it('does not recognize gestures made with more than one touch', () => {
+                const onSwipe = sinon.spy();
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onSwipe, onTap }).instance();
+                press(instance, { timeStamp: 0 });
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 0, pageX: 1, pageY: 2 },
+                    { identifier: 1, pageX: 3, pageY: 3 }
+                ], 10));
+
+                instance.onTouchEnd(getMultiTouchEvent([{ identifier: 1, pageX: 3, pageY: 3 }], 20));
+                release(instance, 30);
+
+                expect(onTap.called).to.be.false;
+                expect(onSwipe.called).to.be.false;
+            });
+
+            it('does not recognize gestures on touchcancel', () => {
+                const onTap = sinon.spy();
+                const instance = getMountedComponentTree({ onTap }).instance();
+                press(instance, { timeStamp: 0 });
+
+                instance.onTouchCancel(getMultiTouchEvent([], 10));
+
+                expect(onTap.called).to.be.false;
+            });
+        });
+
+        describe('Support for press detection', () => {
+            let clock;
+
+            beforeEach(() => {
+                clock = sinon.useFakeTimers();
+            });
+
+            afterEach(() => {
+                clock.restore();
+            });
+
+            it('does not set isActive when horizontal movement exceeds pressMoveThreshold', () => {
+                const tree = getMountedComponentTree({
+                    pressDuration: 100,
+                    pressMoveThreshold: 5
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+
+                tree.instance().onTouchMove(getTouchEvent({ pageX: 10, pageY: 0 }));
+                clock.tick(101);
+
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('measures pressMoveThreshold as euclidean distance', () => {
+                const tree = getMountedComponentTree({
+                    pressDuration: 100,
+                    pressMoveThreshold: 5
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+
+                tree.instance().onTouchMove(getTouchEvent({ pageX: 4, pageY: 4 }));
+                clock.tick(101);
+
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('supports per-axis pressMoveThreshold', () => {
+                const tree = getMountedComponentTree({
+                    pressDuration: 100,
+                    pressMoveThreshold: { x: 20, y: 5 }
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+
+                tree.instance().onTouchMove(getTouchEvent({ pageX: 15, pageY: 4 }));
+                clock.tick(101);
+
+                expect(childComponent.props().isActive).to.be.true;
+            });
+
+            it('calls onPressStart with element relative position', () => {
+                const onPressStart = sinon.spy();
+                const tree = getMountedComponentTree({ onPressStart });
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 1, pageY: 2 }));
+
+                expect(onPressStart.args[0][0]).to.deep.equal({ position: { x: 1, y: 2 } });
+            });
+
+            it('does not call onPressStart when isActivatedOnTouch is set', () => {
+                const onPressStart = sinon.spy();
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true, onPressStart });
+
+                tree.instance().onTouchStart(getTouchEvent());
+
+                expect(onPressStart.called).to.be.false;
+            });
+
+            it('calls onPressProgress on animation frames until the press activates', () => {
+                const onPressProgress = sinon.spy();
+                const tree = getMountedComponentTree({ onPressProgress, pressDuration: 100 });
+                tree.instance().onTouchStart(getTouchEvent());
+
+                clock.tick(48);
+                expect(onPressProgress.callCount).to.equal(3);
+                expect(onPressProgress.lastCall.args[0]).to.deep.equal({ elapsed: 48, progress: 0.48 });
+
+                clock.tick(100);
+                const callCount = onPressProgress.callCount;
+                clock.tick(100);
+                expect(onPressProgress.callCount).to.equal(callCount);
+            });
+
+            it('calls onPressCancel with reason moved', () => {
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({ onPressCancel, pressMoveThreshold: 5 });
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 0, pageY: 0 }));
+
+                tree.instance().onTouchMove(getTouchEvent({ pageX: 6, pageY: 0 }));
+                tree.instance().onTouchMove(getTouchEvent({ pageX: 9, pageY: 0 }));
+
+                expect(onPressCancel.calledOnce).to.be.true;
+                expect(onPressCancel.args[0][0]).to.deep.equal({
+                    position: { x: 6, y: 0 },
+                    reason: 'moved'
+                });
+            });
+
+            it('calls onPressCancel with reason released', () => {
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({ onPressCancel });
+                tree.instance().onTouchStart(getTouchEvent());
+
+                tree.instance().onTouchEnd();
+
+                expect(onPressCancel.args[0][0].reason).to.equal('released');
+            });
+
+            it('calls onPressCancel with reason cancelled', () => {
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({ onPressCancel });
+                tree.instance().onTouchStart(getTouchEvent());
+
+                tree.instance().onTouchCancel();
+
+                expect(onPressCancel.calledOnce).to.be.true;
+                expect(onPressCancel.args[0][0].reason).to.equal('cancelled');
+            });
+
+            it('calls onPressCancel with reason multitouch and does not activate', () => {
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({ onPressCancel, pressDuration: 100 });
+                const instance = tree.instance();
+                instance.onTouchStart(getMultiTouchEvent([{ identifier: 0, pageX: 1, pageY: 1 }]));
+
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 0, pageX: 1, pageY: 1 },
+                    { identifier: 1, pageX: 3, pageY: 3 }
+                ]));
+                clock.tick(101);
+
+                expect(onPressCancel.calledOnce).to.be.true;
+                expect(onPressCancel.args[0][0].reason).to.equal('multitouch');
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+            });
+
+            it('does not call onPressCancel after the press activates', () => {
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({ onPressCancel, pressDuration: 100 });
+                tree.instance().onTouchStart(getTouchEvent());
+                clock.tick(101);
+
+                tree.instance().onTouchEnd();
+
+                expect(onPressCancel.called).to.be.false;
+            });
+        });
+
+        describe('Support for drag tracking', () => {
+            it('sets drag state while the mouse moves with the button pressed', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+                instance.onMouseDown(getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 5 }));
+
+                expect(childComponent.props()).to.include({
+                    dragDistance: 5,
+                    isDragging: true
+                });
+                expect(childComponent.props().dragStartPosition).to.deep.equal({ x: 1, y: 1 });
+                expect(childComponent.props().dragDelta).to.deep.equal({ x: 3, y: 4 });
+            });
+
+            it('does not set isDragging without a pressed button', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 3 }));
+
+                expect(tree.find(GenericSpanComponent).props().isDragging).to.be.false;
+            });
+
+            it('calls onDragStart, onDrag and onDragEnd', () => {
+                const onDrag = sinon.spy();
+                const onDragEnd = sinon.spy();
+                const onDragStart = sinon.spy();
+                const instance = getMountedComponentTree({ onDrag, onDragEnd, onDragStart }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+
+                instance.onMouseMove(getMouseEvent({ pageX: 0, pageY: 0 }));
+                expect(onDragStart.called).to.be.false;
+
+                instance.onMouseMove(getMouseEvent({ pageX: 0, pageY: 2 }));
+                instance.onMouseUp(getMouseEvent({ pageX: 0, pageY: 2 }));
+
+                const drag = {
+                    dragDelta: { x: 0, y: 2 },
+                    dragDistance: 2,
+                    dragStartPosition: { x: 0, y: 0 },
+                    position: { x: 0, y: 2 }
+                };
+                expect(onDragStart.args[0][0]).to.deep.equal({ position: { x: 0, y: 0 } });
+                expect(onDrag.args[0][0]).to.deep.equal(drag);
+                expect(onDragEnd.args[0][0]).to.deep.equal(drag);
+            });
+
+            it('unsets isDragging on mouse up and retains the last drag', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 0 }));
+
+                instance.onMouseUp(getMouseEvent({ pageX: 2, pageY: 0 }));
+
+                expect(childComponent.props().isDragging).to.be.false;
+                expect(childComponent.props().dragDelta).to.deep.equal({ x: 2, y: 0 });
+            });
+
+            it('ends the drag when the button was released outside of the element', () => {
+                const onDragEnd = sinon.spy();
+                const instance = getMountedComponentTree({ onDragEnd }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 0 }));
+
+                instance.onMouseMove(objectAssign(getMouseEvent({ pageX: 3, pageY: 0 }), { buttons: 0 }));
+
+                expect(onDragEnd.calledOnce).to.be.true;
+            });
+
+            it('tracks touch drags while active', () => {
+                const onDragEnd = sinon.spy();
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true, onDragEnd });
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                instance.onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 3 }));
+                expect(childComponent.props().isDragging).to.be.true;
+                expect(childComponent.props().dragDelta).to.deep.equal({ x: 0, y: 2 });
+
+                instance.onTouchEnd(getMultiTouchEvent([]));
+                expect(childComponent.props().isDragging).to.be.false;
+                expect(onDragEnd.calledOnce).to.be.true;
+            });
+
+            it('does not track touch drags before activation', () => {
+                const tree = getMountedComponentTree();
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 3 }));
+
+                expect(tree.find(GenericSpanComponent).props().isDragging).to.be.false;
+            });
+
+            it('ends touch drags when a second contact lands', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true });
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 1, pageY: 3 }));
+
+                instance.onTouchStart(getMultiTouchEvent([
+                    { identifier: 0, pageX: 1, pageY: 3 },
+                    { identifier: 1, pageX: 3, pageY: 3 }
+                ]));
+
+                expect(tree.find(GenericSpanComponent).props().isDragging).to.be.false;
+            });
+        });
+
+        describe('Support for shouldCapturePointer', () => {
+            function getOutsideEvent(event) {
+                return objectAssign(event, { target: document.body });
+            }
+
+            function press(instance, event = getMouseEvent()) {
+                instance.onMouseEnter(event);
+                instance.onMouseDown(event);
+                instance.onMouseLeave();
+            }
+
+            it('adds document listeners while the button is pressed', () => {
+                const tree = getMountedComponentTree({ shouldCapturePointer: true });
+                const instance = tree.instance();
+
+                instance.onMouseEnter(getMouseEvent());
+                instance.onMouseDown(getMouseEvent());
+                expect(instance.captureListeners.length).to.equal(2);
+
+                tree.unmount();
+                expect(instance.captureListeners.length).to.equal(0);
+            });
+
+            it('does not add document listeners by default', () => {
+                const instance = getMountedComponentTree().instance();
+
+                press(instance);
+
+                expect(instance.captureListeners.length).to.equal(0);
+            });
+
+            it('reports positions outside of the element while the button is pressed', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ shouldCapturePointer: true });
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                press(instance);
+                clock.tick(1);
+
+                instance.onCapturedMouseMove(getOutsideEvent(getMouseEvent({ pageX: 6, pageY: 2 })));
+
+                expect(childComponent.props()).to.include({
+                    isActive: true,
+                    isDragging: true,
+                    isPositionOutside: true
+                });
+                expect(childComponent.props().position).to.deep.equal({ x: 6, y: 2 });
+                clock.restore();
+            });
+
+            it('deactivates when the button is released outside of the element', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ shouldCapturePointer: true });
+                const instance = tree.instance();
+                const childComponent = tree.find(GenericSpanComponent);
+                press(instance);
+                clock.tick(1);
+
+                instance.onCapturedMouseUp(getOutsideEvent(getMouseEvent({ pageX: 6, pageY: 2 })));
+                clock.tick(1);
+
+                expect(childComponent.props().isActive).to.be.false;
+                expect(childComponent.props().isDragging).to.be.false;
+                expect(instance.captureListeners.length).to.equal(0);
+                clock.restore();
+            });
+
+            it('stays active when the button is released over the element', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ shouldCapturePointer: true });
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+                instance.onMouseDown(getMouseEvent());
+                clock.tick(1);
+
+                instance.onMouseUp(getMouseEvent());
+                instance.onCapturedMouseUp(objectAssign(getMouseEvent(), { target: instance.el }));
+                clock.tick(1);
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.true;
+                expect(instance.captureListeners.length).to.equal(0);
+                clock.restore();
+            });
+
+            it('ends capture when a move reports the button was released', () => {
+                const instance = getMountedComponentTree({ shouldCapturePointer: true }).instance();
+                press(instance);
+
+                instance.onCapturedMouseMove(getOutsideEvent(objectAssign(getMouseEvent({ pageX: 6 }), { buttons: 0 })));
+
+                expect(instance.captureListeners.length).to.equal(0);
+            });
+
+            it('ignores other pointers with pointer events', () => {
+                const tree = getMountedComponentTree({
+                    shouldCapturePointer: true,
+                    shouldUsePointerEvents: true
+                });
+                const instance = tree.instance();
+                instance.onPointerEnter(getPointerEvent());
+                instance.onPointerDown(getPointerEvent());
+                instance.onPointerLeave(getPointerEvent());
+
+                instance.onCapturedMouseMove(getOutsideEvent(getPointerEvent({ pointerId: 2, pageX: 6 })));
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 1, y: 2 });
+
+                instance.onCapturedMouseMove(getOutsideEvent(getPointerEvent({ pageX: 6 })));
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 6, y: 2 });
+            });
+        });
+
+        describe('Support for shouldLockPointer', () => {
+            function getLockedTree(props) {
+                const tree = getMountedComponentTree(objectAssign({
+                    activationInteraction: { mouse: INTERACTIONS.CLICK },
+                    shouldLockPointer: true
+                }, props));
+                const instance = tree.instance();
+                instance.el.requestPointerLock = sinon.spy(() => {
+                    document.pointerLockElement = instance.el;
+                    document.dispatchEvent(new window.Event('pointerlockchange'));
+                });
+
+                return tree;
+            }
+
+            function lock(instance, event = getMouseEvent()) {
+                instance.onMouseEnter(event);
+                instance.onClick(event);
+            }
+
+            function getMovementEvent(movementX, movementY) {
+                return objectAssign(getMouseEvent({ pageX: 100, pageY: 100 }), { movementX, movementY });
+            }
+
+            beforeEach(() => {
+                document.exitPointerLock = sinon.spy(() => {
+                    document.pointerLockElement = null;
+                    document.dispatchEvent(new window.Event('pointerlockchange'));
+                });
+            });
+
+            afterEach(() => {
+                delete document.exitPointerLock;
+                delete document.pointerLockElement;
+            });
+
+            it('requests pointer lock on activation and sets isPointerLocked', () => {
+                const tree = getLockedTree();
+                const instance = tree.instance();
+
+                lock(instance);
+
+                expect(instance.el.requestPointerLock.calledOnce).to.be.true;
+                expect(tree.find(GenericSpanComponent).props().isPointerLocked).to.be.true;
+            });
+
+            it('does not request pointer lock by default', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.CLICK } });
+                const instance = tree.instance();
+                instance.el.requestPointerLock = sinon.spy();
+
+                instance.onMouseEnter(getMouseEvent());
+                instance.onClick(getMouseEvent());
+
+                expect(instance.el.requestPointerLock.called).to.be.false;
+                expect(tree.find(GenericSpanComponent).props()).to.not.have.property('isPointerLocked');
+            });
+
+            it('accumulates movement into a virtual position', () => {
+                const tree = getLockedTree();
+                const instance = tree.instance();
+                lock(instance, getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onMouseMove(getMovementEvent(2, 1));
+                instance.onMouseMove(getMovementEvent(3, -4));
+
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 6, y: -2 });
+                expect(tree.find(GenericSpanComponent).props().isPositionOutside).to.be.true;
+            });
+
+            it('clamps the virtual position to the element', () => {
+                const tree = getLockedTree({ pointerLockBoundary: 'clamp' });
+                const instance = tree.instance();
+                lock(instance, getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onMouseMove(getMovementEvent(5, -5));
+
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 4, y: 0 });
+            });
+
+            it('wraps the virtual position around the element', () => {
+                const tree = getLockedTree({ pointerLockBoundary: 'wrap' });
+                const instance = tree.instance();
+                lock(instance, getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onMouseMove(getMovementEvent(5, -3));
+
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 2, y: 2 });
+            });
+
+            it('exits pointer lock on deactivate', () => {
+                const tree = getLockedTree();
+                const instance = tree.instance();
+                lock(instance);
+
+                instance.deactivate();
+
+                expect(document.exitPointerLock.calledOnce).to.be.true;
+                expect(tree.find(GenericSpanComponent).props().isPointerLocked).to.be.false;
+            });
+
+            it('deactivates when the browser releases the lock', () => {
+                const tree = getLockedTree();
+                const instance = tree.instance();
+                lock(instance);
+
+                document.pointerLockElement = null;
+                document.dispatchEvent(new window.Event('pointerlockchange'));
+
+                expect(tree.find(GenericSpanComponent).props()).to.include({
+                    isActive: false,
+                    isPointerLocked: false
+                });
+                expect(document.exitPointerLock.called).to.be.false;
+            });
+        });
+
+        describe('Support for recording and replay', () => {
+            function dispatchNativeEvent(el, type, properties) {
+                const event = new window.Event(type, { bubbles: true });
+                el.dispatchEvent(objectAssign(event, properties));
+            }
+
+            it('records mouse events with handler, time and event properties', () => {
+                const clock = sinon.useFakeTimers();
+                const recorder = createRecorder();
+                const el = getMountedComponentTree({ recorder }).find('div');
+
+                el.simulate('mouseEnter', { pageX: 1, pageY: 2, shiftKey: true });
+                clock.tick(20);
+                el.simulate('mouseMove', { pageX: 3, pageY: 2, shiftKey: true });
+
+                const { events } = recorder.getLog();
+                expect(events.length).to.equal(2);
+                expect(events[0]).to.include({ handler: 'onMouseEnter', time: 0 });
+                expect(events[0].event).to.include({ isTargetInside: true, pageX: 1, pageY: 2, shiftKey: true });
+                expect(events[1]).to.include({ handler: 'onMouseMove', time: 20 });
+                expect(JSON.parse(JSON.stringify(recorder))).to.deep.equal(recorder.getLog());
+                clock.restore();
+            });
+
+            it('records touch events', () => {
+                const recorder = createRecorder();
+                const { el } = getMountedComponentTree({ recorder }).instance();
+
+                dispatchNativeEvent(el, 'touchstart', { touches: [{ identifier: 2, pageX: 1, pageY: 2, radiusX: 5 }] });
+
+                const { event, handler } = recorder.getLog().events[0];
+                expect(handler).to.equal('onTouchStart');
+                expect(event.touches).to.deep.equal([{ identifier: 2, pageX: 1, pageY: 2 }]);
+            });
+
+            it('records each event once when handlers delegate to one another', () => {
+                const recorder = createRecorder();
+                const { el } = getMountedComponentTree({ recorder, shouldUsePointerEvents: true }).instance();
+
+                dispatchNativeEvent(el, 'pointerenter', { pageX: 1, pageY: 2, pointerId: 1, pointerType: 'mouse' });
+
+                expect(recorder.getLog().events.map(({ handler }) => handler)).to.deep.equal(['onPointerEnter']);
+            });
+
+            it('clears recorded events', () => {
+                const recorder = createRecorder();
+                getMountedComponentTree({ recorder }).find('div').simulate('mouseEnter');
+
+                recorder.clear();
+
+                expect(recorder.getLog().events).to.be.empty;
+            });
+
+            it('replays a log through the handlers with the original timing', () => {
+                const clock = sinon.useFakeTimers();
+                const onComplete = sinon.spy();
+                const tree = getMountedComponentTree();
+                const childComponent = tree.find(GenericSpanComponent);
+                const log = JSON.parse(JSON.stringify({
+                    events: [
+                        { handler: 'onMouseEnter', time: 0, event: { pageX: 1, pageY: 1, timeStamp: 0 } },
+                        { handler: 'onMouseMove', time: 50, event: { pageX: 3, pageY: 2, timeStamp: 50 } }
+                    ]
+                }));
+
+                replay(tree.instance(), log, { onComplete });
+                clock.tick(1);
+                expect(childComponent.props().isActive).to.be.true;
+                expect(childComponent.props().position).to.deep.equal({ x: 1, y: 1 });
+
+                clock.tick(48);
+                expect(childComponent.props().position).to.deep.equal({ x: 1, y: 1 });
+
+                clock.tick(1);
+                expect(childComponent.props().position).to.deep.equal({ x: 3, y: 2 });
+                expect(onComplete.calledOnce).to.be.true;
+                clock.restore();
+            });
+
+            it('replays events captured outside of the element', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ shouldCapturePointer: true });
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+                instance.onMouseDown(getMouseEvent());
+                instance.onMouseLeave();
+
+                replay(instance, {
+                    events: [
+                        { handler: 'onCapturedMouseMove', time: 0, event: { isTargetInside: false, pageX: 6, pageY: 2 } }
+                    ]
+                });
+                clock.tick(0);
+
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 6, y: 2 });
+                clock.restore();
+            });
+
+            it('stops replaying', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree();
+                const player = replay(tree.instance(), {
+                    events: [
+                        { handler: 'onMouseEnter', time: 0, event: { pageX: 1, pageY: 1 } },
+                        { handler: 'onMouseMove', time: 50, event: { pageX: 3, pageY: 2 } }
+                    ]
+                });
+                clock.tick(0);
+
+                player.stop();
+                clock.tick(50);
+
+                expect(tree.find(GenericSpanComponent).props().position).to.deep.equal({ x: 1, y: 1 });
+                clock.restore();
+            });
+        });
+
+        describe('Support for snap', () => {
+            function getSnapProps(snap, pageX, pageY) {
+                const tree = getMountedComponentTree({ snap });
+                tree.instance().onMouseEnter(getMouseEvent({ pageX, pageY }));
+
+                return tree.find(GenericSpanComponent).props();
+            }
+
+            it('does not add snap props by default', () => {
+                const tree = getMountedComponentTree();
+                tree.instance().onMouseEnter(getMouseEvent());
+                const props = tree.find(GenericSpanComponent).props();
+
+                expect(props).to.not.have.property('snappedPosition');
+                expect(props).to.not.have.property('column');
+            });
+
+            it('snaps to the nearest grid intersection and reports the grid cell', () => {
+                const props = getSnapProps({ gridSize: 2 }, 2.9, 1.1);
+
+                expect(props.position).to.deep.equal({ x: 2.9, y: 1.1 });
+                expect(props.snappedPosition).to.deep.equal({ x: 2, y: 2 });
+                expect(props).to.include({ column: 1, row: 0 });
+            });
+
+            it('supports separate horizontal and vertical grid sizes', () => {
+                const props = getSnapProps({ gridSize: { x: 1, y: 3 } }, 2.4, 2.4);
+
+                expect(props.snappedPosition).to.deep.equal({ x: 2, y: 3 });
+                expect(props).to.include({ column: 2, row: 0 });
+            });
+
+            it('supports a normalized grid size', () => {
+                const props = getSnapProps({ gridSize: 0.25, units: 'normalized' }, 2.9, 3.1);
+
+                expect(props.snappedPosition).to.deep.equal({ x: 3, y: 3 });
+                expect(props).to.include({ column: 2, row: 3 });
+            });
+
+            it('snaps to the nearest magnetic point within radius', () => {
+                const snap = {
+                    points: [{ x: 1, y: 1 }, { x: 2, y: 1 }],
+                    radius: 1
+                };
+
+                expect(getSnapProps(snap, 1.8, 1.5).snappedPosition).to.deep.equal({ x: 2, y: 1 });
+                expect(getSnapProps(snap, 3.5, 3.5).snappedPosition).to.deep.equal({ x: 3.5, y: 3.5 });
+            });
+
+            it('gives magnetic points precedence over the grid', () => {
+                const props = getSnapProps({
+                    gridSize: 2,
+                    points: [{ x: 0.25, y: 0.25 }],
+                    radius: 1,
+                    units: 'normalized'
+                }, 1.5, 1.5);
+
+                expect(props.snappedPosition).to.deep.equal({ x: 1, y: 1 });
+                expect(props).to.include({ column: 0, row: 0 });
+            });
+        });
+
+        describe('Support for smoothing', () => {
+            function getSmoothedTree(smoothing) {
+                const tree = getMountedComponentTree({ smoothing });
+                tree.instance().onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                return tree;
+            }
+
+            it('does not add smoothedPosition by default', () => {
+                const tree = getMountedComponentTree();
+                tree.instance().onMouseEnter(getMouseEvent());
+
+                expect(tree.find(GenericSpanComponent).props()).to.not.have.property('smoothedPosition');
+            });
+
+            it('smooths the position with an exponential moving average', () => {
+                const tree = getSmoothedTree(createExponentialFilter({ alpha: 0.5 }));
+                const instance = tree.instance();
+
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 10 }));
+                expect(tree.find(GenericSpanComponent).props().smoothedPosition).to.deep.equal({ x: 2, y: 1 });
+
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 20 }));
+                const props = tree.find(GenericSpanComponent).props();
+                expect(props.position).to.deep.equal({ x: 4, y: 2 });
+                expect(props.smoothedPosition).to.deep.equal({ x: 3, y: 1.5 });
+            });
+
+            it('smooths the position with a One Euro filter', () => {
+                const tree = getSmoothedTree(createOneEuroFilter({ minCutoff: 1 }));
+                const instance = tree.instance();
+
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 100 }));
+                const { smoothedPosition } = tree.find(GenericSpanComponent).props();
+
+                // alpha = r / (r + 1), where r = 2 * PI * cutoff * elapsed seconds
+                expect(smoothedPosition.x).to.be.closeTo(1.544, 0.001);
+                expect(smoothedPosition.y).to.be.closeTo(0.772, 0.001);
+            });
+
+            it('follows faster movement more closely as One Euro beta increases', () => {
+                const getSmoothedX = beta => {
+                    const tree = getSmoothedTree(createOneEuroFilter({ beta }));
+                    tree.instance().onMouseMove(getMouseEvent({ pageX: 4, pageY: 0, timeStamp: 100 }));
+                    return tree.find(GenericSpanComponent).props().smoothedPosition.x;
+                };
+
+                expect(getSmoothedX(1)).to.be.above(getSmoothedX(0));
+            });
+
+            it('holds the One Euro output for samples without elapsed time', () => {
+                const tree = getSmoothedTree(createOneEuroFilter());
+                tree.instance().onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 0 }));
+
+                expect(tree.find(GenericSpanComponent).props().smoothedPosition).to.deep.equal({ x: 0, y: 0 });
+            });
+
+            it('accepts custom filters', () => {
+                const filter = sinon.spy(({ x, y }) => ({ x: Math.round(x), y: Math.round(y) }));
+                const tree = getSmoothedTree({ filter });
+
+                tree.instance().onMouseMove(getMouseEvent({ pageX: 1.4, pageY: 2.6, timeStamp: 10 }));
+
+                expect(filter.lastCall.args).to.deep.equal([{ x: 1.4, y: 2.6 }, 10]);
+                expect(tree.find(GenericSpanComponent).props().smoothedPosition).to.deep.equal({ x: 1, y: 3 });
+            });
+
+            it('restarts smoothing for each interaction', () => {
+                const smoothing = createExponentialFilter({ alpha: 0.5 });
+                const tree = getSmoothedTree(smoothing);
+                const instance = tree.instance();
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 10 }));
+                instance.onMouseLeave(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 20 }));
+
+                instance.onMouseEnter(getMouseEvent({ pageX: 2, pageY: 4, timeStamp: 30 }));
+
+                expect(tree.find(GenericSpanComponent).props().smoothedPosition).to.deep.equal({ x: 2, y: 4 });
+            });
+
+            it('restarts smoothing from positions corrected for layout changes', () => {
+                const tree = getSmoothedTree(createExponentialFilter({ alpha: 0.5 }));
+                const instance = tree.instance();
+                instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 2, timeStamp: 10 }));
+
+                instance.el.getBoundingClientRect = () => ({ top: 0, right: 3, bottom: 4, left: -1, width: 4, height: 4 });
+                instance.remeasure();
+
+                const props = tree.find(GenericSpanComponent).props();
+                expect(props.smoothedPosition).to.deep.equal(props.position);
+            });
+        });
+
+        describe('Support for zones', () => {
+            const zones = [
+                { name: 'rect', type: 'rect', x: 0, y: 0, width: 2, height: 2 },
+                { name: 'circle', type: 'circle', x: 3, y: 3, radius: 1 },
+                { name: 'triangle', type: 'polygon', points: [{ x: 4, y: 0 }, { x: 4, y: 2 }, { x: 2, y: 0 }] },
+                { name: 'bottom', type: 'rect', units: 'normalized', x: 0, y: 0.5, width: 1, height: 0.5 }
+            ];
+
+            function getActiveZones(instance, pageX, pageY) {
+                instance.onMouseMove(getMouseEvent({ pageX, pageY }));
+                return instance.state.activeZones;
+            }
+
+            it('reports the zones that contain the position', () => {
+                const instance = getMountedComponentTree({ zones }).instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                expect(getActiveZones(instance, 1, 1)).to.deep.equal(['rect']);
+                expect(getActiveZones(instance, 3, 3.5)).to.deep.equal(['circle', 'bottom']);
+                expect(getActiveZones(instance, 3.5, 1)).to.deep.equal(['triangle']);
+                expect(getActiveZones(instance, 2.5, 1.5)).to.deep.equal([]);
+                expect(getActiveZones(instance, 1, 3)).to.deep.equal(['bottom']);
+            });
+
+            it('scales normalized zones with the element', () => {
+                const instance = getMountedComponentTree({ zones }).instance();
+                instance.onMouseEnter(getMouseEvent());
+                instance.el.getBoundingClientRect = () => ({ top: 0, right: 8, bottom: 8, left: 0, width: 8, height: 8 });
+                instance.remeasure();
+
+                expect(getActiveZones(instance, 1, 3)).to.deep.equal([]);
+                expect(getActiveZones(instance, 1, 5)).to.deep.equal(['bottom']);
+            });
+
+            it('calls onZoneEnter and onZoneLeave as the position moves', () => {
+                const onZoneEnter = sinon.spy();
+                const onZoneLeave = sinon.spy();
+                const instance = getMountedComponentTree({ onZoneEnter, onZoneLeave, zones }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+                expect(onZoneEnter.args[0][0]).to.deep.equal({ name: 'rect', position: { x: 1, y: 1 } });
+
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 1.5 }));
+                expect(onZoneEnter.calledOnce).to.be.true;
+
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 3 }));
+                expect(onZoneLeave.args[0][0]).to.deep.equal({ name: 'rect', position: { x: 1, y: 3 } });
+                expect(onZoneEnter.args[1][0]).to.deep.equal({ name: 'bottom', position: { x: 1, y: 3 } });
+            });
+
+            it('leaves all zones when the mouse leaves the element', () => {
+                const onZoneLeave = sinon.spy();
+                const tree = getMountedComponentTree({ onZoneLeave, zones });
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 3 }));
+
+                instance.onMouseLeave();
+
+                expect(onZoneLeave.args[0][0].name).to.equal('bottom');
+                expect(tree.find(GenericSpanComponent).props().activeZones).to.deep.equal([]);
+            });
+
+            it('leaves all zones when the last touch ends', () => {
+                const onZoneLeave = sinon.spy();
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true, onZoneLeave, zones });
+                const instance = tree.instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+
+                instance.onTouchEnd(getMultiTouchEvent([]));
+
+                expect(onZoneLeave.args[0][0]).to.deep.equal({ name: 'rect', position: { x: 1, y: 1 } });
+                expect(tree.find(GenericSpanComponent).props().activeZones).to.deep.equal([]);
+            });
+
+            it('leaves all zones when the last touch pointer ends', () => {
+                const onZoneLeave = sinon.spy();
+                const tree = getMountedComponentTree({
+                    isActivatedOnTouch: true,
+                    onZoneLeave,
+                    shouldUsePointerEvents: true,
+                    zones
+                });
+                const instance = tree.instance();
+                instance.onPointerDown(getPointerEvent({ pointerType: 'touch', pageX: 1, pageY: 1 }));
+
+                instance.onPointerUp(getPointerEvent({ pointerType: 'touch', pageX: 1, pageY: 1 }));
+
+                expect(onZoneLeave.calledOnce).to.be.true;
+                expect(tree.find(GenericSpanComponent).props().activeZones).to.deep.equal([]);
+            });
+
+            it('passes activeZones to child components', () => {
+                const tree = getMountedComponentTree({ isActivatedOnTouch: true, zones });
+
+                tree.instance().onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+
+                expect(tree.find(GenericSpanComponent).props().activeZones).to.deep.equal(['rect']);
+            });
+        });
+
+        describe('Support for heatmap', () => {
+            function getDwellAndVisits({ cells }) {
+                return cells.map(row => row.map(({ dwell, visits }) => [dwell, visits]));
+            }
+
+            it('adds dwell time and visit counts to the cells of a grid', () => {
+                const clock = sinon.useFakeTimers();
+                const heatmap = createHeatmap({ columns: 2, rows: 2 });
+                const instance = getMountedComponentTree({ heatmap }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                clock.tick(100);
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 1 }));
+                clock.tick(50);
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 1 }));
+                clock.tick(25);
+                instance.onMouseLeave();
+
+                expect(getDwellAndVisits(heatmap.export())).to.deep.equal([
+                    [[125, 2], [50, 1]],
+                    [[0, 0], [0, 0]]
+                ]);
+                clock.restore();
+            });
+
+            it('includes the dwell time of the current visit in exports', () => {
+                const clock = sinon.useFakeTimers();
+                const heatmap = createHeatmap({ columns: 2, rows: 2 });
+                const instance = getMountedComponentTree({ heatmap }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+
+                clock.tick(2000);
+
+                expect(getDwellAndVisits(heatmap.export())[0][0]).to.deep.equal([2000, 1]);
+                expect(JSON.parse(JSON.stringify(heatmap)).cells[0][0].dwell).to.equal(2000);
+
+                clock.tick(500);
+                instance.onMouseLeave();
+
+                expect(getDwellAndVisits(heatmap.export())[0][0]).to.deep.equal([2500, 1]);
+                clock.restore();
+            });
+
+            it('exports normalized cells', () => {
+                const heatmap = createHeatmap({ columns: 2, rows: 4 });
+
+                expect(heatmap.export().cells[3][1]).to.deep.equal({
+                    dwell: 0,
+                    height: 0.25,
+                    visits: 0,
+                    width: 0.5,
+                    x: 0.5,
+                    y: 0.75
+                });
+                expect(JSON.parse(JSON.stringify(heatmap))).to.deep.equal(heatmap.export());
+            });
+
+            it('calls onChange with the heatmap when a visit ends', () => {
+                const clock = sinon.useFakeTimers();
+                const onChange = sinon.spy();
+                const heatmap = createHeatmap({ columns: 2, rows: 2, onChange });
+                const instance = getMountedComponentTree({ heatmap }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+                instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 0 }));
+                expect(onChange.called).to.be.false;
+
+                clock.tick(10);
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 3 }));
+
+                expect(onChange.calledOnce).to.be.true;
+                expect(onChange.args[0][0]).to.include({ columns: 2, rows: 2 });
+                expect(onChange.args[0][0].cells[0][0].dwell).to.equal(10);
+                clock.restore();
+            });
+
+            it('maps positions to the same cells after the element is resized', () => {
+                const heatmap = createHeatmap({ columns: 2, rows: 2 });
+                const instance = getMountedComponentTree({ heatmap }).instance();
+                instance.onMouseEnter(getMouseEvent({ pageX: 1, pageY: 1 }));
+                instance.el.getBoundingClientRect = () => ({ top: 0, right: 8, bottom: 8, left: 0, width: 8, height: 8 });
+
+                instance.remeasure();
+                instance.onMouseMove(getMouseEvent({ pageX: 3, pageY: 3 }));
+
+                expect(getDwellAndVisits(heatmap.export())[0][0][1]).to.equal(1);
+                expect(getDwellAndVisits(heatmap.export())[1][1][1]).to.equal(0);
+            });
+
+            it('counts touch dwell only while active', () => {
+                const clock = sinon.useFakeTimers();
+                const heatmap = createHeatmap({ columns: 1, rows: 1 });
+                const instance = getMountedComponentTree({ heatmap, pressDuration: 100 }).instance();
+                instance.onTouchStart(getTouchEvent({ pageX: 1, pageY: 1 }));
+
+                clock.tick(100);
+                clock.tick(40);
+                instance.onTouchEnd(getMultiTouchEvent([]));
+
+                expect(getDwellAndVisits(heatmap.export())).to.deep.equal([[[40, 1]]]);
+                clock.restore();
+            });
+
+            it('resets the heatmap', () => {
+                const heatmap = createHeatmap({ columns: 1, rows: 1 });
+                const tree = getMountedComponentTree({ heatmap });
+                tree.instance().onMouseEnter(getMouseEvent());
+
+                tree.unmount();
+                heatmap.reset();
+
+                expect(getDwellAndVisits(heatmap.export())).to.deep.equal([[[0, 0]]]);
+            });
+        });
+
+        describe('Support for activationInteraction', () => {
+            function tap(instance, timeStamp) {
+                instance.onTouchStart(getTouchEvent({ timeStamp }));
+                instance.onTouchEnd(getMultiTouchEvent([], timeStamp + 50));
+            }
+
+            it('exports the supported interactions', () => {
+                expect(INTERACTIONS.HOVER).to.equal('hover');
+                expect(INTERACTIONS.PRESS_AND_HOLD).to.equal('pressAndHold');
+                expect(INTERACTIONS.DOUBLE_TAP).to.equal('doubleTap');
+            });
+
+            it('does not set isActive on mouse enter for click', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.CLICK } });
+                const childComponent = tree.find(GenericSpanComponent);
+
+                tree.instance().onMouseEnter(getMouseEvent());
+                clock.tick(1);
+
+                expect(childComponent.props().isActive).to.be.false;
+                clock.restore();
+            });
+
+            it('sets isActive on click and unsets it on mouse leave', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.CLICK } });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onMouseLeave();
+                clock.tick(1);
+                expect(childComponent.props().isActive).to.be.false;
+                clock.restore();
+            });
+
+            it('ignores clicks of buttons other than the primary button', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.CLICK } });
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onClick(getMouseEvent({ button: 2 }));
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+            });
+
+            it('sets isActive on double click', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.DOUBLE_CLICK } });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.false;
+
+                instance.onDoubleClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.true;
+            });
+
+            it('toggles isActive on click', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.TOGGLE_ON_CLICK } });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+
+                instance.onClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onClick(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('sets isActive while the mouse button is held for pressDuration', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({
+                    activationInteraction: { mouse: INTERACTIONS.PRESS_AND_HOLD },
+                    pressDuration: 100
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+                instance.onMouseDown(getMouseEvent());
+
+                clock.tick(99);
+                expect(childComponent.props().isActive).to.be.false;
+
+                clock.tick(1);
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onMouseUp(getMouseEvent());
+                expect(childComponent.props().isActive).to.be.false;
+                clock.restore();
+            });
+
+            it('cancels press and hold when the mouse moves beyond pressMoveThreshold', () => {
+                const clock = sinon.useFakeTimers();
+                const onPressCancel = sinon.spy();
+                const tree = getMountedComponentTree({
+                    activationInteraction: { mouse: INTERACTIONS.PRESS_AND_HOLD },
+                    onPressCancel,
+                    pressDuration: 100,
+                    pressMoveThreshold: 5
+                });
+                const instance = tree.instance();
+                instance.onMouseEnter(getMouseEvent());
+                instance.onMouseDown(getMouseEvent({ pageX: 0, pageY: 0 }));
+
+                instance.onMouseMove(getMouseEvent({ pageX: 6, pageY: 0 }));
+                clock.tick(100);
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+                expect(onPressCancel.args[0][0].reason).to.equal('moved');
+                clock.restore();
+            });
+
+            it('supports press and hold with pointer events', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({
+                    activationInteraction: { mouse: INTERACTIONS.PRESS_AND_HOLD },
+                    pressDuration: 100,
+                    shouldUsePointerEvents: true
+                });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+                instance.onPointerEnter(getPointerEvent());
+                instance.onPointerDown(getPointerEvent());
+
+                clock.tick(100);
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onPointerUp(getPointerEvent());
+                expect(childComponent.props().isActive).to.be.false;
+                clock.restore();
+            });
+
+            it('ignores mouse events emulated after a touch', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { mouse: INTERACTIONS.CLICK } });
+                const instance = tree.instance();
+
+                instance.onTouchStart(getTouchEvent());
+                instance.onTouchEnd(getMultiTouchEvent([]));
+                instance.onClick(getMouseEvent());
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+            });
+
+            describe('hoverIntent', () => {
+                function getHoverIntentTree(props) {
+                    return getMountedComponentTree(objectAssign({
+                        activationInteraction: { mouse: INTERACTIONS.HOVER_INTENT },
+                        hoverIntentInterval: 100,
+                        hoverIntentSensitivity: 7
+                    }, props));
+                }
+
+                it('sets isActive once the cursor moves less than sensitivity in an interval', () => {
+                    const clock = sinon.useFakeTimers();
+                    const tree = getHoverIntentTree();
+                    const instance = tree.instance();
+                    instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                    instance.onMouseMove(getMouseEvent({ pageX: 4, pageY: 4 }));
+
+                    clock.tick(100);
+                    expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+
+                    instance.onMouseMove(getMouseEvent({ pageX: 1, pageY: 4 }));
+                    clock.tick(100);
+                    expect(tree.find(GenericSpanComponent).props().isActive).to.be.true;
+                    clock.restore();
+                });
+
+                it('sets isActive after one interval when the cursor is still', () => {
+                    const clock = sinon.useFakeTimers();
+                    const tree = getHoverIntentTree();
+                    tree.instance().onMouseEnter(getMouseEvent());
+
+                    clock.tick(99);
+                    expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+
+                    clock.tick(1);
+                    expect(tree.find(GenericSpanComponent).props().isActive).to.be.true;
+                    clock.restore();
+                });
+
+                it('does not set isActive when the cursor passes through', () => {
+                    const clock = sinon.useFakeTimers();
+                    const tree = getHoverIntentTree({ hoverIntentSensitivity: 2 });
+                    const instance = tree.instance();
+                    instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+                    clock.tick(50);
+                    instance.onMouseMove(getMouseEvent({ pageX: 2, pageY: 1 }));
+                    clock.tick(50);
+
+                    instance.onMouseLeave();
+                    clock.tick(1000);
+
+                    expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+                    clock.restore();
+                });
+
+                it('polls with a single timer', () => {
+                    const clock = sinon.useFakeTimers();
+                    const instance = getHoverIntentTree().instance();
+                    instance.onMouseEnter(getMouseEvent({ pageX: 0, pageY: 0 }));
+
+                    [10, 20, 30].forEach((pageX) => {
+                        instance.onMouseMove(getMouseEvent({ pageX, pageY: 0 }));
+                        clock.tick(100);
+                    });
+
+                    expect(instance.timers.filter(({ name }) => name === 'setHovering').length).to.equal(1);
+                    clock.restore();
+                });
+            });
+
+            it('sets isActive on touch start for touch', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { touch: INTERACTIONS.TOUCH } });
+
+                tree.instance().onTouchStart(getTouchEvent());
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.true;
+            });
+
+            it('keeps the default mouse interaction when only touch is specified', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({ activationInteraction: { touch: INTERACTIONS.TAP } });
+
+                tree.instance().onMouseEnter(getMouseEvent());
+                clock.tick(1);
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.true;
+                clock.restore();
+            });
+
+            it('toggles isActive on tap and keeps it set after release', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { touch: INTERACTIONS.TAP } });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+
+                tap(instance, 0);
+                expect(childComponent.props().isActive).to.be.true;
+
+                instance.onTouchStart(getTouchEvent({ pageX: 2, pageY: 2, timeStamp: 1000 }));
+                instance.onTouchMove(getTouchEvent({ pageX: 3, pageY: 3, timeStamp: 1010 }));
+                expect(childComponent.props().position).to.deep.equal({ x: 3, y: 3 });
+
+                instance.onTouchEnd(getMultiTouchEvent([], 2000));
+                expect(childComponent.props().isActive).to.be.true;
+
+                tap(instance, 3000);
+                expect(childComponent.props().isActive).to.be.false;
+            });
+
+            it('does not set isActive on long press for tap', () => {
+                const clock = sinon.useFakeTimers();
+                const tree = getMountedComponentTree({
+                    activationInteraction: { touch: INTERACTIONS.TAP },
+                    pressDuration: 100
+                });
+
+                tree.instance().onTouchStart(getTouchEvent());
+                clock.tick(100);
+
+                expect(tree.find(GenericSpanComponent).props().isActive).to.be.false;
+                clock.restore();
+            });
+
+            it('toggles isActive on double tap', () => {
+                const tree = getMountedComponentTree({ activationInteraction: { touch: INTERACTIONS.DOUBLE_TAP } });
+                const childComponent = tree.find(GenericSpanComponent);
+                const instance = tree.instance();
+
+                tap(instance, 0);
+                expect(childComponent.props().isActive).to.be.false;
+
+                tap(instance, 200);
+                expect(childComponent.props().isActive).to.be.true;
+
+                tap(instance, 1000);
+                tap(instance, 1200);
+                expect(childComponent.props().isActive).to.be.false;
+            });
+        });
+
+        describe('Support for onDetectedEnvironmentChanged', () => {
+            describe('Touch Environment', () => {
+                it('gets called with isTouchDetected set', () => {
+                    const spy = sinon.spy();
+                    const mountedComponent = getMountedComponentTree({
+                        onDetectedEnvironmentChanged: spy
+                    });
+
+                    mountedComponent.instance().onTouchStart(getTouchEvent());
+
+                    expect(spy.calledOnce).to.be.true;
+                });
+            });
+
+            describe('Mouse Environment', () => {
+                it('sets isMouseDetected to true', () => {
+                    const spy = sinon.spy();
+                    const mountedComponent = getMountedComponentTree({
+                        onDetectedEnvironmentChanged: spy
+                    });
+
+                    mountedComponent.instance().onMouseEnter(getMouseEvent());
+
+                    expect(spy.calledOnce).to.be.true;
+                });
+            });
+        })
+    });
+
+    describe('clearTimers', () => {
+        it('drains the timers array', () => {
+            const instance = positionObserver.instance();
+            instance.timers.push({
+                name: 'test',
                 id: 1
             });
             expect(instance.timers.length).to.equal(1);
@@ -756,7 +3622,7 @@ describe('ReactCursorPosition', () => {
         return mountedWrapper;
     }
 
-    function getTouchEvent({pageX = 1, pageY = 2} = {}) {
+    function getTouchEvent({pageX = 1, pageY = 2, identifier = 0, timeStamp = 0} = {}) {
         return {
             currentTarget: {
                 getBoundingClientRect() {
@@ -771,15 +3637,26 @@ describe('ReactCursorPosition', () => {
                 }
             },
             preventDefault: () => {},
+            timeStamp,
             touches: [{
+                identifier,
                 pageX,
                 pageY
             }]
         };
     }
 
-    function getMouseEvent({ pageX = 1, pageY = 2 } = {}) {
+    function getMultiTouchEvent(touches, timeStamp = 0) {
+        return {
+            preventDefault: () => { },
+            timeStamp,
+            touches
+        };
+    }
+
+    function getMouseEvent({ button = 0, pageX = 1, pageY = 2, timeStamp = 0 } = {}) {
         return {
+            button,
             currentTarget: {
                 getBoundingClientRect() {
                     return {
@@ -794,7 +3671,35 @@ describe('ReactCursorPosition', () => {
             },
             preventDefault: () => { },
             pageX,
-            pageY
+            pageY,
+            timeStamp
+        };
+    }
+
+    function getPointerEvent({
+        button = 0,
+        pointerId = 1,
+        pointerType = 'mouse',
+        pageX = 1,
+        pageY = 2,
+        pressure = 0,
+        tiltX = 0,
+        tiltY = 0,
+        timeStamp = 0,
+        twist = 0
+    } = {}) {
+        return {
+            button,
+            preventDefault: () => { },
+            pointerId,
+            pointerType,
+            pageX,
+            pageY,
+            pressure,
+            tiltX,
+            tiltY,
+            timeStamp,
+            twist
         };
     }
 
@@ -0,0 +1,122 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+import ReactCursorPosition from '../src/ReactCursorPosition';
+import GenericSpanComponent from './support/GenericSpanComponent';
+import {
+    advancePressDuration,
+    getChildProps,
+    simulateHover,
+    simulateLeave,
+    simulateMove,
+    simulateTouchPress,
+    simulateTouchRelease
+} from '../src/testUtils';
+
+describe('testUtils', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('returns the props passed to decorated child components', () => {
+        const tree = getMountedComponentTree({ foo: 'bar' });
+        const instance = tree.instance();
+
+        simulateHover(instance, { clock, position: { x: 1, y: 2 } });
+
+        expect(getChildProps(instance)).to.deep.equal(tree.find(GenericSpanComponent).props());
+        expect(getChildProps(instance).foo).to.equal('bar');
+    });
+
+    it('simulates hover, activating after hoverDelayInMs', () => {
+        const instance = getMountedComponentTree({ hoverDelayInMs: 100 }).instance();
+
+        const props = simulateHover(instance, { clock, position: { x: 1, y: 2 } });
+
+        expect(props.isActive).to.be.true;
+        expect(props.position).to.deep.equal({ x: 1, y: 2 });
+        expect(props.detectedEnvironment.isMouseDetected).to.be.true;
+    });
+
+    it('does not advance timers without a clock', () => {
+        const instance = getMountedComponentTree().instance();
+
+        expect(simulateHover(instance).isActive).to.be.false;
+    });
+
+    it('simulates mouse moves in element-relative coordinates', () => {
+        const instance = getMountedComponentTree().instance();
+        instance.el.getBoundingClientRect = () => ({ top: 10, right: 24, bottom: 14, left: 20, width: 4, height: 4 });
+        simulateHover(instance, { clock });
+
+        const props = simulateMove(instance, { position: { x: 3, y: 1 } });
+
+        expect(props.position).to.deep.equal({ x: 3, y: 1 });
+        expect(props.isPositionOutside).to.be.false;
+    });
+
+    it('commits batched moves', () => {
+        const instance = getMountedComponentTree({ shouldBatchPositionUpdates: true }).instance();
+        simulateHover(instance, { clock });
+
+        expect(simulateMove(instance, { position: { x: 3, y: 1 } }).position).to.deep.equal({ x: 3, y: 1 });
+    });
+
+    it('simulates leave', () => {
+        const instance = getMountedComponentTree().instance();
+        simulateHover(instance, { clock });
+
+        const props = simulateLeave(instance, { clock });
+
+        expect(props.isActive).to.be.false;
+        expect(props.isPositionOutside).to.be.true;
+    });
+
+    it('simulates a touch press, activating after pressDuration', () => {
+        const instance = getMountedComponentTree({ pressDuration: 200 }).instance();
+
+        const props = simulateTouchPress(instance, { position: { x: 2, y: 2 } });
+        expect(props.isActive).to.be.false;
+        expect(props.detectedEnvironment.isTouchDetected).to.be.true;
+
+        expect(advancePressDuration(instance, { clock }).isActive).to.be.true;
+    });
+
+    it('simulates touch moves and release', () => {
+        const instance = getMountedComponentTree({ isActivatedOnTouch: true }).instance();
+        simulateTouchPress(instance, { position: { x: 1, y: 1 } });
+
+        const props = simulateMove(instance, { position: { x: 3, y: 2 } });
+        expect(props.position).to.deep.equal({ x: 3, y: 2 });
+        expect(props.touches).to.deep.equal([{ identifier: 0, x: 3, y: 2 }]);
+
+        expect(simulateTouchRelease(instance).isActive).to.be.false;
+    });
+
+    it('requires a clock to advance press duration', () => {
+        const instance = getMountedComponentTree().instance();
+        simulateTouchPress(instance);
+
+        expect(() => advancePressDuration(instance)).to.throw(/requires a clock/);
+    });
+
+    function getMountedComponentTree(props = {}) {
+        const tree = mount(
+            <ReactCursorPosition { ...props }>
+                <GenericSpanComponent />
+            </ReactCursorPosition>
+        );
+
+        tree.instance().el.getBoundingClientRect = () => ({ top: 0, right: 4, bottom: 4, left: 0, width: 4, height: 4 });
+
+        return tree;
+    }
+});